@@ -0,0 +1,106 @@
+/**
+ * CalibrationManager - Screen physical-size calibration and visual-angle units
+ *
+ * The participant resizes an on-screen card until it matches a real bank card
+ * (ISO/IEC 7810 ID-1, 85.60 x 53.98 mm) held against the screen, and enters their
+ * viewing distance. The card width gives CSS pixels per cm; with the viewing distance
+ * this converts visual angles to pixels, so the spotlight aperture and image size can
+ * be set in degrees ("5deg") and subtend the same angle on every screen.
+ *
+ * A size of d degrees is 2 * distance * tan(d / 2) cm on the screen (centred on the
+ * line of sight). px_per_degree in the export is the size of 1 degree.
+ */
+
+const CREDIT_CARD_WIDTH_CM = 8.56;
+const CREDIT_CARD_HEIGHT_CM = 5.398;
+
+class CalibrationManager {
+    constructor() {
+        this.pxPerCm = null;
+        this.viewingDistanceCm = null;
+    }
+
+    isCalibrated() {
+        return this.pxPerCm !== null && this.viewingDistanceCm !== null;
+    }
+
+    /**
+     * Calibrate from the matched card width (CSS px) and the viewing distance (cm)
+     */
+    setCalibration(cardWidthPx, viewingDistanceCm) {
+        this.pxPerCm = cardWidthPx / CREDIT_CARD_WIDTH_CM;
+        this.viewingDistanceCm = viewingDistanceCm;
+        console.log(`Calibration: ${this.pxPerCm.toFixed(2)} px/cm at ${viewingDistanceCm} cm, ${this.getPixelsPerDegree().toFixed(2)} px/deg`);
+    }
+
+    /**
+     * Calibration of a resumed session, from the record in its participant data
+     */
+    restore(participantData) {
+        const record = participantData.calibration || {};
+        const pxPerCm = Number(record.px_per_cm);
+        const viewingDistanceCm = Number(record.viewing_distance_cm);
+        if (pxPerCm > 0 && viewingDistanceCm > 0) {
+            this.pxPerCm = pxPerCm;
+            this.viewingDistanceCm = viewingDistanceCm;
+            console.log(`Calibration restored: ${pxPerCm} px/cm at ${viewingDistanceCm} cm`);
+        }
+        return this.isCalibrated();
+    }
+
+    degreesToPixels(degrees) {
+        const sizeCm = 2 * this.viewingDistanceCm * Math.tan((degrees / 2) * Math.PI / 180);
+        return sizeCm * this.pxPerCm;
+    }
+
+    getPixelsPerDegree() {
+        return this.degreesToPixels(1);
+    }
+
+    /**
+     * Degrees of a size written as "<number>deg", or null for any other size
+     */
+    parseDegrees(value) {
+        if (typeof value !== 'string' || !/^\d+(\.\d+)?deg$/.test(value.trim())) {
+            return null;
+        }
+        return parseFloat(value);
+    }
+
+    /**
+     * Pixel size of a config size: "<number>deg" sizes are converted (rounded to
+     * whole px), anything else ("20%", px numbers, null) is returned unchanged
+     */
+    resolveSize(value) {
+        const degrees = this.parseDegrees(value);
+        if (degrees === null) {
+            return value;
+        }
+        if (!this.isCalibrated()) {
+            throw new Error(`Cannot use the size ${value} before the screen is calibrated`);
+        }
+        return Math.round(this.degreesToPixels(degrees));
+    }
+
+    /**
+     * Calibration record for the participant data
+     */
+    buildRecord(cardWidthPx) {
+        return {
+            card_width_px: String(cardWidthPx),
+            px_per_cm: this.pxPerCm.toFixed(3),
+            viewing_distance_cm: String(this.viewingDistanceCm),
+            px_per_degree: this.getPixelsPerDegree().toFixed(3),
+            viewport_width_cm: (window.innerWidth / this.pxPerCm).toFixed(1),
+            viewport_height_cm: (window.innerHeight / this.pxPerCm).toFixed(1),
+            calibrated_at: new Date().toISOString()
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = CalibrationManager;
+} else if (typeof window !== 'undefined') {
+    window.CalibrationManager = CalibrationManager;
+}
@@ -0,0 +1,697 @@
+/**
+ * ConfigManager - Loads and validates the versioned experiment configuration
+ *
+ * The configuration file (data/experiment-config.json by default) drives the round
+ * structure, trial timing and MouseView overlay parameters so study variants can be
+ * run without editing experiment.js. A different file can be selected with the
+ * `?config=path/to/file.json` URL parameter.
+ *
+ * Values missing from the file fall back to DEFAULT_EXPERIMENT_CONFIG, so variant
+ * files only need to contain the settings they change.
+ */
+
+const SUPPORTED_CONFIG_SCHEMA_VERSION = 1;
+
+// Number of rounds index.html provides inter-round and instruction screens for
+const MAX_SUPPORTED_ROUNDS = 3;
+
+// Ways image-trial categories can be assigned to quadrants
+const POSITION_ASSIGNMENT_MODES = ['random', 'latin-square'];
+
+// How participants are spread over list-to-round orders (see ImageManager.getListOrders)
+const LIST_ASSIGNMENT_MODES = ['latin-square', 'all-orders'];
+
+// How images from a participant's earlier sessions are treated (see ImageManager.applyPriorImagePolicy)
+const PRIOR_IMAGE_POLICY_NAMES = ['ignore', 'exclude', 'overlap'];
+
+// Display layouts ImageManager can place images in (see DISPLAY_LAYOUTS in image-manager.js)
+const DISPLAY_LAYOUT_NAMES = ['quadrants', 'pair', 'hexagon', 'octagon'];
+
+// Post-trial rating dimensions (see RATING_DIMENSIONS in experiment.js), scale styles
+// and which of a trial's images are rated
+const RATING_DIMENSION_NAMES = ['valence', 'arousal'];
+const RATING_SCALE_STYLES = ['sam', 'slider'];
+const RATING_IMAGE_MODES = ['all', 'one'];
+
+// Spotlight rendering modes (see ExperimentController.getSpotlightParams) and how they
+// are assigned: one mode per participant, or a rotation of the modes over the rounds
+const SPOTLIGHT_MODE_NAMES = ['overlay', 'gaussian', 'blur', 'none'];
+const SPOTLIGHT_ASSIGNMENT_MODES = ['participant', 'round'];
+
+// Viewing distances (cm) accepted on the calibration screen and as its default
+const CALIBRATION_DISTANCE_RANGE = { min: 20, max: 200 };
+
+// What happens to a trial aborted by an experimenter pause
+const INTERRUPTED_TRIAL_ACTIONS = ['rerun', 'replace'];
+
+// Maps that replace the default as a whole instead of being merged key by key
+const REPLACED_CONFIG_KEYS = ['trialCounts', 'maxRunLength', 'matchWithinTrial'];
+
+const DEFAULT_EXPERIMENT_CONFIG = {
+    schemaVersion: SUPPORTED_CONFIG_SCHEMA_VERSION,
+    version: 'unversioned',
+    name: 'Free-viewing task',
+    rounds: {
+        totalRounds: 3,
+        trialCounts: {
+            image: 12,
+            filler: 8
+        },
+        interTrialInterval: 250,
+        password: 'ctsfreeviewing'
+    },
+    trial: {
+        imageViewingTime: 15000,
+        showTimer: false,
+        fixationDuration: 2000,
+        fixationJitter: 0,
+        driftCheck: false,
+        driftCheckRadius: 40,
+        driftCheckHoldTime: 500
+    },
+    counterbalancing: {
+        positionAssignment: 'random',
+        listAssignment: 'latin-square'
+    },
+    display: {
+        layout: 'quadrants',
+        eccentricity: 0.35,
+        imageSize: null
+    },
+    calibration: {
+        enabled: false,
+        viewingDistance: 60
+    },
+    stimuli: {
+        file: 'data/new-data.json',
+        manifest: 'data/stimulus-manifest.json',
+        balanceSubcategories: [],
+        matchWithinTrial: {}
+    },
+    sessions: {
+        priorImagePolicy: 'ignore',
+        overlapProportion: 0,
+        useRegistry: true,
+        saveProgress: true
+    },
+    ratings: {
+        trialTypes: [],
+        images: 'all',
+        dimensions: ['valence', 'arousal'],
+        scale: 'sam'
+    },
+    pause: {
+        key: 'p',
+        interruptedTrial: 'replace'
+    },
+    attentionCheck: {
+        target: '★',
+        targetSize: 60,
+        instruction: 'Find the star and click on it',
+        responseWindow: 10000,
+        maxFailures: 2
+    },
+    consent: {
+        file: null
+    },
+    tutorial: {
+        enabled: false,
+        targetRadius: 40,
+        holdTime: 500
+    },
+    practice: {
+        enabled: false,
+        trials: 2,
+        trialType: 'image'
+    },
+    questionnaires: {
+        forms: []
+    },
+    recognition: {
+        enabled: false,
+        oldPerCategory: 6,
+        foilsPerCategory: 6,
+        confidence: true
+    },
+    sequencing: {
+        firstTrialType: null,
+        maxRunLength: {},
+        maxConsecutiveEmotional: null,
+        emotionalTrialTypes: ['image']
+    },
+    mouseView: {
+        apertureSize: '20%',
+        overlayAlpha: 0.85,
+        overlayColour: 'black',
+        apertureGauss: 15
+    },
+    spotlight: {
+        modes: ['overlay'],
+        assignment: 'participant',
+        gaussian: {
+            apertureGauss: 60
+        },
+        blur: {
+            blurRadius: 20,
+            overlayAlpha: 0.3
+        }
+    }
+};
+
+class ConfigManager {
+    constructor(defaultPath = 'data/experiment-config.json') {
+        this.defaultPath = defaultPath;
+        this.configPath = null;
+        this.config = null;
+    }
+
+    /**
+     * Resolve which config file to load (URL parameter overrides the default)
+     */
+    resolveConfigPath() {
+        try {
+            const params = new URLSearchParams(window.location.search);
+            const override = params.get('config');
+            if (override && override.trim()) {
+                return override.trim();
+            }
+        } catch (error) {
+            console.warn('Could not read config URL parameter:', error);
+        }
+        return this.defaultPath;
+    }
+
+    /**
+     * Load, merge with defaults and validate the experiment configuration.
+     * Throws an Error describing every problem found if the file is invalid.
+     */
+    async loadConfig(path = null) {
+        this.configPath = path || this.resolveConfigPath();
+        console.log(`Loading experiment configuration from ${this.configPath}...`);
+
+        const response = await fetch(this.configPath);
+        if (!response.ok) {
+            throw new Error(`Could not load ${this.configPath} (HTTP ${response.status})`);
+        }
+
+        let rawConfig;
+        try {
+            rawConfig = await response.json();
+        } catch (error) {
+            throw new Error(`${this.configPath} is not valid JSON: ${error.message}`);
+        }
+
+        const config = this.mergeWithDefaults(DEFAULT_EXPERIMENT_CONFIG, rawConfig);
+
+        const errors = this.validateConfig(config);
+        if (errors.length > 0) {
+            throw new Error(`Invalid experiment configuration (${this.configPath}):\n- ${errors.join('\n- ')}`);
+        }
+
+        this.config = config;
+
+        console.log(`Experiment configuration "${config.name}" v${config.version} loaded:`, config);
+        return config;
+    }
+
+    /**
+     * Deep-merge a loaded config over the defaults (arrays, primitives and
+     * REPLACED_CONFIG_KEYS replace the default value)
+     */
+    mergeWithDefaults(defaults, overrides) {
+        if (!this.isPlainObject(overrides)) {
+            return overrides === undefined ? defaults : overrides;
+        }
+
+        const merged = { ...defaults };
+        Object.keys(overrides).forEach(key => {
+            if (!REPLACED_CONFIG_KEYS.includes(key) &&
+                this.isPlainObject(defaults[key]) && this.isPlainObject(overrides[key])) {
+                merged[key] = this.mergeWithDefaults(defaults[key], overrides[key]);
+            } else {
+                merged[key] = overrides[key];
+            }
+        });
+        return merged;
+    }
+
+    isPlainObject(value) {
+        return value !== null && typeof value === 'object' && !Array.isArray(value);
+    }
+
+    /**
+     * Validate a merged config and return a list of human-readable errors
+     */
+    validateConfig(config) {
+        const errors = [];
+
+        if (config.schemaVersion !== SUPPORTED_CONFIG_SCHEMA_VERSION) {
+            errors.push(`schemaVersion must be ${SUPPORTED_CONFIG_SCHEMA_VERSION} (got ${config.schemaVersion})`);
+        }
+        if (typeof config.version !== 'string' || !config.version.trim()) {
+            errors.push('version must be a non-empty string');
+        }
+
+        // Round structure
+        const rounds = config.rounds;
+        if (!Number.isInteger(rounds.totalRounds) || rounds.totalRounds < 1 || rounds.totalRounds > MAX_SUPPORTED_ROUNDS) {
+            errors.push(`rounds.totalRounds must be an integer between 1 and ${MAX_SUPPORTED_ROUNDS} (got ${rounds.totalRounds})`);
+        }
+        if (!this.isPlainObject(rounds.trialCounts)) {
+            errors.push('rounds.trialCounts must be an object mapping trial types to counts');
+        } else {
+            // Trial type names are checked against the stimulus file by validateTrialTypes()
+            Object.entries(rounds.trialCounts).forEach(([trialType, count]) => {
+                if (!Number.isInteger(count) || count < 0) {
+                    errors.push(`rounds.trialCounts.${trialType} must be a non-negative integer (got ${count})`);
+                }
+            });
+            const trialsPerRound = Object.values(rounds.trialCounts).reduce((sum, count) => sum + (Number.isInteger(count) ? count : 0), 0);
+            if (trialsPerRound === 0) {
+                errors.push('rounds.trialCounts must define at least one trial per round');
+            }
+        }
+        if (!this.isNonNegativeNumber(rounds.interTrialInterval)) {
+            errors.push(`rounds.interTrialInterval must be a non-negative number of ms (got ${rounds.interTrialInterval})`);
+        }
+        if (typeof rounds.password !== 'string' || !rounds.password) {
+            errors.push('rounds.password must be a non-empty string');
+        }
+
+        // Trial timing
+        if (!this.isNonNegativeNumber(config.trial.imageViewingTime)) {
+            errors.push(`trial.imageViewingTime must be a non-negative number of ms (got ${config.trial.imageViewingTime})`);
+        }
+        if (typeof config.trial.showTimer !== 'boolean') {
+            errors.push('trial.showTimer must be true or false');
+        }
+        if (!this.isNonNegativeNumber(config.trial.fixationDuration)) {
+            errors.push(`trial.fixationDuration must be a non-negative number of ms (got ${config.trial.fixationDuration})`);
+        }
+        if (!this.isNonNegativeNumber(config.trial.fixationJitter)) {
+            errors.push(`trial.fixationJitter must be a non-negative number of ms (got ${config.trial.fixationJitter})`);
+        }
+        if (typeof config.trial.driftCheck !== 'boolean') {
+            errors.push('trial.driftCheck must be true or false');
+        }
+        if (typeof config.trial.driftCheckRadius !== 'number' || !isFinite(config.trial.driftCheckRadius) || config.trial.driftCheckRadius <= 0) {
+            errors.push(`trial.driftCheckRadius must be a positive number of px (got ${config.trial.driftCheckRadius})`);
+        }
+        if (!this.isNonNegativeNumber(config.trial.driftCheckHoldTime)) {
+            errors.push(`trial.driftCheckHoldTime must be a non-negative number of ms (got ${config.trial.driftCheckHoldTime})`);
+        }
+
+        // Counterbalancing
+        if (!POSITION_ASSIGNMENT_MODES.includes(config.counterbalancing.positionAssignment)) {
+            errors.push(`counterbalancing.positionAssignment must be one of: ${POSITION_ASSIGNMENT_MODES.join(', ')} (got ${config.counterbalancing.positionAssignment})`);
+        }
+        if (!LIST_ASSIGNMENT_MODES.includes(config.counterbalancing.listAssignment)) {
+            errors.push(`counterbalancing.listAssignment must be one of: ${LIST_ASSIGNMENT_MODES.join(', ')} (got ${config.counterbalancing.listAssignment})`);
+        }
+
+        // Display layout (image counts per trial are checked against it when the stimulus file loads)
+        if (!DISPLAY_LAYOUT_NAMES.includes(config.display.layout)) {
+            errors.push(`display.layout must be one of: ${DISPLAY_LAYOUT_NAMES.join(', ')} (got ${config.display.layout})`);
+        }
+        if (typeof config.display.eccentricity !== 'number' || config.display.eccentricity <= 0 || config.display.eccentricity >= 0.5) {
+            errors.push(`display.eccentricity must be a number between 0 and 0.5 (fraction of the shorter screen side; got ${config.display.eccentricity})`);
+        }
+        const imageSize = config.display.imageSize;
+        if (imageSize !== null && !(typeof imageSize === 'number' && imageSize > 0) && !this.isDegreeSize(imageSize)) {
+            errors.push(`display.imageSize must be an image width in degrees like "10deg", a pixel number, or null for automatic sizing (got ${imageSize})`);
+        }
+        
+        // Screen calibration (required for sizes in degrees)
+        const calibration = config.calibration;
+        if (typeof calibration.enabled !== 'boolean') {
+            errors.push('calibration.enabled must be true or false');
+        }
+        if (typeof calibration.viewingDistance !== 'number' || calibration.viewingDistance < CALIBRATION_DISTANCE_RANGE.min ||
+            calibration.viewingDistance > CALIBRATION_DISTANCE_RANGE.max) {
+            errors.push(`calibration.viewingDistance must be a number of cm between ${CALIBRATION_DISTANCE_RANGE.min} and ${CALIBRATION_DISTANCE_RANGE.max} (got ${calibration.viewingDistance})`);
+        }
+        [['display.imageSize', imageSize], ['mouseView.apertureSize', config.mouseView.apertureSize]].forEach(([key, value]) => {
+            if (this.isDegreeSize(value) && calibration.enabled !== true) {
+                errors.push(`${key} is set in degrees (${value}), which needs calibration.enabled`);
+            }
+        });
+        
+        // Stimulus file
+        if (typeof config.stimuli.file !== 'string' || !config.stimuli.file.trim()) {
+            errors.push('stimuli.file must be the path of a stimulus definition file');
+        }
+
+        // Stimulus manifest and within-trial matching (field names are checked by validateMatchingFields)
+        const manifest = config.stimuli.manifest;
+        if (manifest !== null && (typeof manifest !== 'string' || !manifest.trim())) {
+            errors.push('stimuli.manifest must be the path of a stimulus manifest file, or null');
+        }
+        if (!this.isPlainObject(config.stimuli.matchWithinTrial)) {
+            errors.push('stimuli.matchWithinTrial must be an object mapping manifest fields to ranges, e.g. { "arousal": 1.5 }');
+        } else {
+            Object.entries(config.stimuli.matchWithinTrial).forEach(([field, range]) => {
+                if (!this.isNonNegativeNumber(range)) {
+                    errors.push(`stimuli.matchWithinTrial.${field} must be a non-negative number (got ${range})`);
+                }
+            });
+            if (manifest === null && Object.keys(config.stimuli.matchWithinTrial).length > 0) {
+                errors.push('stimuli.matchWithinTrial needs a stimuli.manifest to read image values from');
+            }
+        }
+        
+        // Subcategory balancing (dimension names are checked against new-data.json when rounds are prepared)
+        const balance = config.stimuli.balanceSubcategories;
+        if (!Array.isArray(balance) || balance.some(dimension => typeof dimension !== 'string' || !dimension)) {
+            errors.push('stimuli.balanceSubcategories must be a list of subcategory dimension names (e.g. ["social"])');
+        }
+
+        // Longitudinal sessions
+        const sessions = config.sessions;
+        if (!PRIOR_IMAGE_POLICY_NAMES.includes(sessions.priorImagePolicy)) {
+            errors.push(`sessions.priorImagePolicy must be one of: ${PRIOR_IMAGE_POLICY_NAMES.join(', ')} (got ${sessions.priorImagePolicy})`);
+        }
+        if (typeof sessions.overlapProportion !== 'number' || sessions.overlapProportion < 0 || sessions.overlapProportion > 1) {
+            errors.push(`sessions.overlapProportion must be a number between 0 and 1 (got ${sessions.overlapProportion})`);
+        }
+        if (typeof sessions.useRegistry !== 'boolean') {
+            errors.push('sessions.useRegistry must be true or false');
+        }
+        if (typeof sessions.saveProgress !== 'boolean') {
+            errors.push('sessions.saveProgress must be true or false');
+        }
+        
+        // Post-trial ratings (trial type names are checked by validateTrialTypes)
+        const ratings = config.ratings;
+        if (!Array.isArray(ratings.trialTypes) || ratings.trialTypes.some(trialType => typeof trialType !== 'string')) {
+            errors.push('ratings.trialTypes must be a list of trial type names ([] for no ratings)');
+        }
+        if (!RATING_IMAGE_MODES.includes(ratings.images)) {
+            errors.push(`ratings.images must be one of: ${RATING_IMAGE_MODES.join(', ')} (got ${ratings.images})`);
+        }
+        if (!Array.isArray(ratings.dimensions) || ratings.dimensions.length === 0 ||
+            ratings.dimensions.some(dimension => !RATING_DIMENSION_NAMES.includes(dimension))) {
+            errors.push(`ratings.dimensions must be a non-empty list of: ${RATING_DIMENSION_NAMES.join(', ')}`);
+        } else if (new Set(ratings.dimensions).size !== ratings.dimensions.length) {
+            errors.push('ratings.dimensions must not repeat a dimension');
+        }
+        if (!RATING_SCALE_STYLES.includes(ratings.scale)) {
+            errors.push(`ratings.scale must be one of: ${RATING_SCALE_STYLES.join(', ')} (got ${ratings.scale})`);
+        }
+        
+        // Experimenter pause
+        if (typeof config.pause.key !== 'string' || config.pause.key.length !== 1) {
+            errors.push(`pause.key must be a single character (got ${config.pause.key})`);
+        }
+        if (!INTERRUPTED_TRIAL_ACTIONS.includes(config.pause.interruptedTrial)) {
+            errors.push(`pause.interruptedTrial must be one of: ${INTERRUPTED_TRIAL_ACTIONS.join(', ')} (got ${config.pause.interruptedTrial})`);
+        }
+        
+        // Attention-check trials (rounds.trialCounts.attention_check)
+        const attentionCheck = config.attentionCheck;
+        if (typeof attentionCheck.target !== 'string' || !attentionCheck.target.trim()) {
+            errors.push('attentionCheck.target must be a non-empty string (the symbol to click)');
+        }
+        if (typeof attentionCheck.targetSize !== 'number' || !isFinite(attentionCheck.targetSize) || attentionCheck.targetSize <= 0) {
+            errors.push(`attentionCheck.targetSize must be a positive number of px (got ${attentionCheck.targetSize})`);
+        }
+        if (typeof attentionCheck.instruction !== 'string') {
+            errors.push('attentionCheck.instruction must be a string (empty for no instruction)');
+        }
+        if (typeof attentionCheck.responseWindow !== 'number' || !isFinite(attentionCheck.responseWindow) || attentionCheck.responseWindow <= 0) {
+            errors.push(`attentionCheck.responseWindow must be a positive number of ms (got ${attentionCheck.responseWindow})`);
+        }
+        if (!Number.isInteger(attentionCheck.maxFailures) || attentionCheck.maxFailures < 1) {
+            errors.push(`attentionCheck.maxFailures must be a positive integer (got ${attentionCheck.maxFailures})`);
+        }
+        
+        // Consent screen (the consent file is checked by ConsentManager)
+        if (config.consent.file !== null && (typeof config.consent.file !== 'string' || !config.consent.file.trim())) {
+            errors.push('consent.file must be the path of a consent file, or null for no consent screen');
+        }
+        
+        // Spotlight tutorial
+        const tutorial = config.tutorial;
+        if (typeof tutorial.enabled !== 'boolean') {
+            errors.push('tutorial.enabled must be true or false');
+        }
+        if (typeof tutorial.targetRadius !== 'number' || !isFinite(tutorial.targetRadius) || tutorial.targetRadius <= 0) {
+            errors.push(`tutorial.targetRadius must be a positive number of px (got ${tutorial.targetRadius})`);
+        }
+        if (typeof tutorial.holdTime !== 'number' || !isFinite(tutorial.holdTime) || tutorial.holdTime < 0) {
+            errors.push(`tutorial.holdTime must be a non-negative number of ms (got ${tutorial.holdTime})`);
+        }
+        
+        // Practice trials (the trial type and practice pool are checked against the stimulus file)
+        const practice = config.practice;
+        if (typeof practice.enabled !== 'boolean') {
+            errors.push('practice.enabled must be true or false');
+        }
+        if (!Number.isInteger(practice.trials) || practice.trials < 1) {
+            errors.push(`practice.trials must be a positive integer (got ${practice.trials})`);
+        }
+        if (typeof practice.trialType !== 'string' || !practice.trialType) {
+            errors.push('practice.trialType must be the name of a trial type');
+        }
+        
+        // Questionnaires (definition files are checked by QuestionnaireManager)
+        const forms = config.questionnaires.forms;
+        if (!Array.isArray(forms)) {
+            errors.push('questionnaires.forms must be a list of { "file", "placement" } entries ([] for none)');
+        } else {
+            forms.forEach((form, index) => {
+                if (!form || typeof form.file !== 'string' || !form.file.trim()) {
+                    errors.push(`questionnaires.forms[${index}].file must be the path of a questionnaire definition file`);
+                    return;
+                }
+                const afterRound = /^after_round_(\d+)$/.exec(form.placement);
+                const validPlacement = form.placement === 'start' || form.placement === 'end' ||
+                    (afterRound !== null && Number(afterRound[1]) >= 1 && Number(afterRound[1]) < config.rounds.totalRounds);
+                if (!validPlacement) {
+                    errors.push(`questionnaires.forms[${index}].placement must be start, end or after_round_<n> with n from 1 to ${config.rounds.totalRounds - 1} (got ${form.placement})`);
+                }
+            });
+        }
+        
+        // End-of-session recognition test
+        const recognition = config.recognition;
+        if (typeof recognition.enabled !== 'boolean') {
+            errors.push('recognition.enabled must be true or false');
+        }
+        if (!Number.isInteger(recognition.oldPerCategory) || recognition.oldPerCategory < 1) {
+            errors.push(`recognition.oldPerCategory must be a positive integer (got ${recognition.oldPerCategory})`);
+        }
+        if (!Number.isInteger(recognition.foilsPerCategory) || recognition.foilsPerCategory < 1) {
+            errors.push(`recognition.foilsPerCategory must be a positive integer (got ${recognition.foilsPerCategory})`);
+        }
+        if (typeof recognition.confidence !== 'boolean') {
+            errors.push('recognition.confidence must be true or false');
+        }
+        
+        // Trial-type sequencing (feasibility is checked when the first pattern is generated)
+        errors.push(...this.validateSequencing(config.sequencing, config.rounds.trialCounts));
+
+        // MouseView overlay
+        const mouseView = config.mouseView;
+        if (!this.isValidApertureSize(mouseView.apertureSize)) {
+            errors.push(`mouseView.apertureSize must be a percentage string like "20%", a size in degrees like "5deg" or a pixel number (got ${mouseView.apertureSize})`);
+        }
+        if (typeof mouseView.overlayAlpha !== 'number' || mouseView.overlayAlpha < 0 || mouseView.overlayAlpha > 1) {
+            errors.push(`mouseView.overlayAlpha must be a number between 0 and 1 (got ${mouseView.overlayAlpha})`);
+        }
+        if (typeof mouseView.overlayColour !== 'string' || !mouseView.overlayColour) {
+            errors.push('mouseView.overlayColour must be a CSS colour string');
+        }
+        if (!this.isNonNegativeNumber(mouseView.apertureGauss)) {
+            errors.push(`mouseView.apertureGauss must be a non-negative number (got ${mouseView.apertureGauss})`);
+        }
+        
+        // Spotlight rendering modes (overlay uses the mouseView settings above)
+        const spotlight = config.spotlight;
+        if (!Array.isArray(spotlight.modes) || spotlight.modes.length === 0 ||
+            spotlight.modes.some(mode => !SPOTLIGHT_MODE_NAMES.includes(mode))) {
+            errors.push(`spotlight.modes must be a non-empty list of: ${SPOTLIGHT_MODE_NAMES.join(', ')} (got ${JSON.stringify(spotlight.modes)})`);
+        }
+        if (!SPOTLIGHT_ASSIGNMENT_MODES.includes(spotlight.assignment)) {
+            errors.push(`spotlight.assignment must be one of: ${SPOTLIGHT_ASSIGNMENT_MODES.join(', ')} (got ${spotlight.assignment})`);
+        }
+        if (!this.isNonNegativeNumber(spotlight.gaussian.apertureGauss)) {
+            errors.push(`spotlight.gaussian.apertureGauss must be a non-negative number (got ${spotlight.gaussian.apertureGauss})`);
+        }
+        if (typeof spotlight.blur.blurRadius !== 'number' || !isFinite(spotlight.blur.blurRadius) || spotlight.blur.blurRadius <= 0) {
+            errors.push(`spotlight.blur.blurRadius must be a positive number of px (got ${spotlight.blur.blurRadius})`);
+        }
+        if (typeof spotlight.blur.overlayAlpha !== 'number' || spotlight.blur.overlayAlpha < 0 || spotlight.blur.overlayAlpha > 1) {
+            errors.push(`spotlight.blur.overlayAlpha must be a number between 0 and 1 (got ${spotlight.blur.overlayAlpha})`);
+        }
+
+        return errors;
+    }
+
+    validateSequencing(sequencing, trialCounts) {
+        const errors = [];
+        const trialTypes = this.isPlainObject(trialCounts) ? Object.keys(trialCounts) : [];
+
+        if (sequencing.firstTrialType !== null) {
+            if (!trialTypes.includes(sequencing.firstTrialType)) {
+                errors.push(`sequencing.firstTrialType must be null or one of: ${trialTypes.join(', ')} (got ${sequencing.firstTrialType})`);
+            } else if (trialCounts[sequencing.firstTrialType] === 0) {
+                errors.push(`sequencing.firstTrialType is ${sequencing.firstTrialType} but rounds.trialCounts.${sequencing.firstTrialType} is 0`);
+            }
+        }
+
+        if (!this.isPlainObject(sequencing.maxRunLength)) {
+            errors.push('sequencing.maxRunLength must be an object mapping trial types to maximum run lengths');
+        } else {
+            Object.entries(sequencing.maxRunLength).forEach(([trialType, maxRun]) => {
+                if (!trialTypes.includes(trialType)) {
+                    errors.push(`sequencing.maxRunLength.${trialType} is not a trial type in rounds.trialCounts`);
+                }
+                if (maxRun !== null && (!Number.isInteger(maxRun) || maxRun < 1)) {
+                    errors.push(`sequencing.maxRunLength.${trialType} must be null or a positive integer (got ${maxRun})`);
+                }
+            });
+        }
+
+        if (sequencing.maxConsecutiveEmotional !== null &&
+            (!Number.isInteger(sequencing.maxConsecutiveEmotional) || sequencing.maxConsecutiveEmotional < 1)) {
+            errors.push(`sequencing.maxConsecutiveEmotional must be null or a positive integer (got ${sequencing.maxConsecutiveEmotional})`);
+        }
+
+        if (!Array.isArray(sequencing.emotionalTrialTypes) ||
+            sequencing.emotionalTrialTypes.some(trialType => typeof trialType !== 'string')) {
+            errors.push('sequencing.emotionalTrialTypes must be a list of trial type names');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Check that every trial type the config refers to is declared in the stimulus
+     * file or built in (trialTypes = ImageManager.getTrialTypes(), which includes
+     * attention_check). Throws like loadConfig.
+     */
+    validateTrialTypes(config, trialTypes) {
+        const errors = [];
+
+        Object.keys(config.rounds.trialCounts).forEach(trialType => {
+            if (!trialTypes.includes(trialType)) {
+                errors.push(`rounds.trialCounts.${trialType} is not a trial type in ${config.stimuli.file} (expected one of: ${trialTypes.join(', ')})`);
+            }
+        });
+        config.sequencing.emotionalTrialTypes.forEach(trialType => {
+            if (!trialTypes.includes(trialType)) {
+                errors.push(`sequencing.emotionalTrialTypes contains ${trialType}, which is not a trial type in ${config.stimuli.file} (expected: ${trialTypes.join(', ')})`);
+            }
+        });
+        config.ratings.trialTypes.forEach(trialType => {
+            if (!trialTypes.includes(trialType)) {
+                errors.push(`ratings.trialTypes contains ${trialType}, which is not a trial type in ${config.stimuli.file} (expected: ${trialTypes.join(', ')})`);
+            }
+        });
+        // Practice trials show images, so attention checks cannot be practised
+        const practiceTypes = trialTypes.filter(trialType => trialType !== 'attention_check');
+        if (config.practice.enabled && !practiceTypes.includes(config.practice.trialType)) {
+            errors.push(`practice.trialType ${config.practice.trialType} is not an image trial type in ${config.stimuli.file} (expected one of: ${practiceTypes.join(', ')})`);
+        }
+
+        if (errors.length > 0) {
+            throw new Error(`Invalid experiment configuration (${this.configPath}):\n- ${errors.join('\n- ')}`);
+        }
+    }
+
+    /**
+     * Check that latin-square position assignment can counterbalance the trial types
+     * in rounds.trialCounts on the display layout: each trial type that mixes
+     * categories must show one image per position (imageCounts maps those trial types
+     * to their number of images). Throws like loadConfig.
+     */
+    validateDisplayLayout(config, imageCounts, positionCount) {
+        if (config.counterbalancing.positionAssignment !== 'latin-square') {
+            return;
+        }
+
+        const errors = Object.entries(imageCounts)
+            .filter(([, imageCount]) => imageCount !== positionCount)
+            .map(([trialType, imageCount]) => `display.layout ${config.display.layout} has ${positionCount} positions but ${trialType} trials in ${config.stimuli.file} show ${imageCount} images - latin-square position assignment needs one image per position (use a stimulus file whose ${trialType} composition shows ${positionCount} images, another layout, or counterbalancing.positionAssignment "random")`);
+        if (errors.length > 0) {
+            throw new Error(`Invalid experiment configuration (${this.configPath}):\n- ${errors.join('\n- ')}`);
+        }
+    }
+
+    /**
+     * Check that a stimulus file with parallel lists has one for every round
+     * (listNames = ImageManager.getListNames()). Throws like loadConfig.
+     */
+    validateStimulusLists(config, listNames) {
+        if (listNames.length > 0 && listNames.length < config.rounds.totalRounds) {
+            throw new Error(`Invalid experiment configuration (${this.configPath}):\n- ` +
+                `rounds.totalRounds is ${config.rounds.totalRounds} but ${config.stimuli.file} defines only ${listNames.length} stimulus list(s) (${listNames.join(', ')})`);
+        }
+    }
+
+    /**
+     * Check that the stimulus file's practice pool holds enough images for the
+     * practice trials (shortfalls = PracticeManager.getShortfalls()). Throws like loadConfig.
+     */
+    validatePracticePool(config, shortfalls) {
+        if (shortfalls.length > 0) {
+            throw new Error(`Invalid experiment configuration (${this.configPath}):\n- ` +
+                shortfalls.map(shortfall => `${shortfall} (add images under "practice" in ${config.stimuli.file} or lower practice.trials)`).join('\n- '));
+        }
+    }
+    
+    /**
+     * Check that enough unshown images are left for the recognition test's foils once
+     * the schedule is fixed (shortfalls = RecognitionManager.getFoilShortfalls()). Throws like loadConfig.
+     */
+    validateRecognitionFoils(config, shortfalls) {
+        if (shortfalls.length > 0) {
+            throw new Error(`Invalid experiment configuration (${this.configPath}):\n- ` +
+                shortfalls.map(shortfall => `${shortfall} (add images to ${config.stimuli.file}, lower rounds.trialCounts or lower recognition.foilsPerCategory)`).join('\n- '));
+        }
+    }
+    
+    /**
+     * Check that every within-trial matching field is a numeric field of the stimulus
+     * manifest (numericFields = ImageManager.getNumericMetadataFields()). Throws like loadConfig.
+     */
+    validateMatchingFields(config, numericFields) {
+        const errors = [];
+        
+        Object.keys(config.stimuli.matchWithinTrial).forEach(field => {
+            if (!numericFields.includes(field)) {
+                errors.push(`stimuli.matchWithinTrial.${field} is not a numeric field of ${config.stimuli.manifest} (expected one of: ${numericFields.join(', ')})`);
+            }
+        });
+        
+        if (errors.length > 0) {
+            throw new Error(`Invalid experiment configuration (${this.configPath}):\n- ${errors.join('\n- ')}`);
+        }
+    }
+    
+    isNonNegativeNumber(value) {
+        return typeof value === 'number' && isFinite(value) && value >= 0;
+    }
+
+    isValidApertureSize(value) {
+        if (typeof value === 'number') {
+            return value > 0;
+        }
+        return typeof value === 'string' && /^\d+(\.\d+)?%$/.test(value.trim()) || this.isDegreeSize(value);
+    }
+
+    isDegreeSize(value) {
+        return typeof value === 'string' && /^\d+(\.\d+)?deg$/.test(value.trim());
+    }
+
+    getConfig() {
+        return this.config;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConfigManager;
+} else if (typeof window !== 'undefined') {
+    window.ConfigManager = ConfigManager;
+}
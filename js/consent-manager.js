@@ -0,0 +1,139 @@
+/**
+ * ConsentManager - Versioned informed-consent text and the participant's agreement
+ *
+ * The consent text comes from the file named in the experiment config (consent.file)
+ * and is shown between the welcome screen and the participant form. The participant
+ * can only continue after ticking every required agreement. The consent version,
+ * the time of agreement and every agreement choice go into the participant data.
+ *
+ * Consent file:
+ *   { version, title, sections: [{ heading, text }],
+ *     agreements: [{ id, text, required }], declineMessage }
+ *
+ * Change the version whenever the approved wording changes, so each participant's
+ * record shows which text they agreed to.
+ */
+
+class ConsentManager {
+    constructor() {
+        this.file = null;
+        this.consent = null;
+    }
+
+    isEnabled() {
+        return this.consent !== null;
+    }
+
+    /**
+     * Load and validate the consent file (null turns the consent screen off).
+     * Throws an Error listing every problem found.
+     */
+    async loadConsent(path) {
+        this.file = path;
+        this.consent = null;
+        if (!path) {
+            return;
+        }
+
+        console.log(`Loading consent text from ${path}...`);
+        const response = await fetch(path);
+        if (!response.ok) {
+            throw new Error(`Could not load ${path} (HTTP ${response.status})`);
+        }
+
+        let consent;
+        try {
+            consent = await response.json();
+        } catch (error) {
+            throw new Error(`${path} is not valid JSON: ${error.message}`);
+        }
+
+        const errors = this.validateConsent(consent);
+        if (errors.length > 0) {
+            throw new Error(`Invalid consent file (${path}):\n- ${errors.join('\n- ')}`);
+        }
+        this.consent = consent;
+        console.log(`Consent text version ${consent.version} loaded (${consent.agreements.length} agreements)`);
+    }
+
+    /**
+     * Check a consent file; returns a list of human-readable errors
+     */
+    validateConsent(consent) {
+        const errors = [];
+        const isNonEmptyString = value => typeof value === 'string' && value.trim() !== '';
+
+        if (consent === null || typeof consent !== 'object' || Array.isArray(consent)) {
+            return ['the file must contain a consent object'];
+        }
+        if (!isNonEmptyString(consent.version)) {
+            errors.push('version must be a non-empty string (e.g. "1.0")');
+        }
+        if (!isNonEmptyString(consent.title)) {
+            errors.push('title must be a non-empty string');
+        }
+        if (!Array.isArray(consent.sections) || consent.sections.length === 0 ||
+            consent.sections.some(section => !section || !isNonEmptyString(section.text) ||
+                (section.heading !== undefined && typeof section.heading !== 'string'))) {
+            errors.push('sections must be a non-empty list of { "heading", "text" } sections');
+        }
+        if (consent.declineMessage !== undefined && typeof consent.declineMessage !== 'string') {
+            errors.push('declineMessage must be a string');
+        }
+
+        if (!Array.isArray(consent.agreements) || consent.agreements.length === 0) {
+            errors.push('agreements must be a non-empty list of checkbox statements');
+            return errors;
+        }
+        const ids = new Set();
+        consent.agreements.forEach((agreement, index) => {
+            if (!agreement || typeof agreement.id !== 'string' || !/^[A-Za-z0-9_]+$/.test(agreement.id)) {
+                errors.push(`agreements[${index}].id must be a string of letters, digits and "_"`);
+                return;
+            }
+            if (ids.has(agreement.id)) {
+                errors.push(`agreements[${index}].id "${agreement.id}" is used by another agreement`);
+            }
+            ids.add(agreement.id);
+            if (!isNonEmptyString(agreement.text)) {
+                errors.push(`agreements.${agreement.id}.text must be a non-empty string`);
+            }
+            if (typeof agreement.required !== 'boolean') {
+                errors.push(`agreements.${agreement.id}.required must be true or false`);
+            }
+        });
+        if (!consent.agreements.some(agreement => agreement && agreement.required === true)) {
+            errors.push('at least one agreement must be required');
+        }
+
+        return errors;
+    }
+
+    /**
+     * Required agreements that are not ticked; choices maps agreement ids to true/false
+     */
+    getMissingAgreements(choices) {
+        return this.consent.agreements
+            .filter(agreement => agreement.required && !choices[agreement.id])
+            .map(agreement => agreement.id);
+    }
+
+    /**
+     * Consent record for the participant data
+     */
+    buildRecord(choices) {
+        return {
+            version: this.consent.version,
+            file: this.file,
+            timestamp: new Date().toISOString(),
+            choices: Object.fromEntries(this.consent.agreements.map(agreement => [agreement.id, Boolean(choices[agreement.id])]))
+        };
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ConsentManager;
+} else if (typeof window !== 'undefined') {
+    window.ConsentManager = ConsentManager;
+}
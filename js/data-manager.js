@@ -19,8 +19,27 @@ class DataManager {
         
         this.trialData = [];
         this.mouseTrackingData = [];
+        this.pauseLog = [];                // Experimenter pauses (see recordPause)
+        this.ratingsData = [];             // Post-trial image ratings (see recordRating)
+        this.questionnaireData = [];       // Administered questionnaires (see recordQuestionnaire)
+        this.exportPrefix = '';            // Prepended to the trial and mouse data file names ('practice_' for practice data)
+        this.attentionMaxFailures = 2;     // Failed attention checks that flag the participant
         this.experimentStartTime = null;
         this.currentTrialStartTime = null;
+        this.subcategoryDimensions = [];   // Stimulus subcategory dimensions written per image (e.g. social, source)
+        this.metadataFields = [];          // Stimulus manifest fields written per image (e.g. valence, arousal)
+        
+        // Image slots written as image/position_/time_on_ columns (replaced from the stimulus file via setImageSlots)
+        this.imageSlots = [
+            { slot: 'dysphoric', category: 'dysphoric', label: 'dysphoric', column: 'img_dysphoric' },
+            { slot: 'threat', category: 'threat', label: 'threat', column: 'img_threat' },
+            { slot: 'positive', category: 'positive', label: 'positive', column: 'img_positive' },
+            { slot: 'filler', category: 'filler', label: 'filler', column: 'img_filler' },
+            { slot: 'filler1', category: 'filler', label: 'filler_1', column: 'filler_1' },
+            { slot: 'filler2', category: 'filler', label: 'filler_2', column: 'filler_2' },
+            { slot: 'filler3', category: 'filler', label: 'filler_3', column: 'filler_3' },
+            { slot: 'filler4', category: 'filler', label: 'filler_4', column: 'filler_4' }
+        ];
         
         console.log('DataManager initialized for 3-round experiment, participant:', this.participantData.participant_id);
     }
@@ -37,6 +56,212 @@ class DataManager {
         console.log('Participant info updated:', participantId, email, session);
     }
     
+    /**
+     * Record the participant's informed consent (ConsentManager.buildRecord): the
+     * consent text version and file, when they agreed and each agreement choice
+     */
+    setConsent(record) {
+        this.participantData.consent_version = record.version;
+        this.participantData.consent_file = record.file;
+        this.participantData.consent_timestamp = record.timestamp;
+        this.participantData.consent_choices = { ...record.choices };
+        console.log(`Consent recorded: version ${record.version} at ${record.timestamp}`, record.choices);
+    }
+    
+    /**
+     * Consent columns for the participant export: consent_{agreement} is yes or no
+     */
+    getConsentColumns() {
+        const choices = this.participantData.consent_choices || {};
+        return {
+            consent_version: this.participantData.consent_version,
+            consent_file: this.participantData.consent_file,
+            consent_timestamp: this.participantData.consent_timestamp,
+            ...Object.fromEntries(Object.entries(choices).map(([id, agreed]) => [`consent_${id}`, agreed ? 'yes' : 'no']))
+        };
+    }
+    
+    /**
+     * Record the screen calibration (CalibrationManager.buildRecord) and the aperture
+     * and image sizes it gave
+     */
+    setCalibration(record) {
+        this.participantData.calibration = { ...record };
+        console.log(`Calibration recorded: ${record.px_per_degree} px/deg at ${record.viewing_distance_cm} cm`, record);
+    }
+    
+    /**
+     * Calibration columns for the participant export (empty without calibration)
+     */
+    getCalibrationColumns() {
+        const calibration = this.participantData.calibration || {};
+        return {
+            calibration_card_width_px: calibration.card_width_px,
+            calibration_px_per_cm: calibration.px_per_cm,
+            viewing_distance_cm: calibration.viewing_distance_cm,
+            px_per_degree: calibration.px_per_degree,
+            calibration_viewport_width_cm: calibration.viewport_width_cm,
+            calibration_viewport_height_cm: calibration.viewport_height_cm,
+            calibrated_at: calibration.calibrated_at,
+            aperture_size: calibration.aperture_size,
+            image_width_px: calibration.image_width_px
+        };
+    }
+    
+    /**
+     * Record the completed spotlight tutorial: when it was completed, its duration
+     * and the time taken to reach each corner target (ms)
+     */
+    setTutorial(result) {
+        this.participantData.tutorial_completed_at = result.completedAt;
+        this.participantData.tutorial_duration_ms = result.duration.toFixed(1);
+        this.participantData.tutorial_steps = Object.fromEntries(result.steps.map(step => [step.corner, step.time.toFixed(1)]));
+        console.log(`Tutorial recorded: completed in ${Math.round(result.duration)}ms`, this.participantData.tutorial_steps);
+    }
+    
+    /**
+     * Tutorial columns for the participant export: tutorial_{corner}_ms per target
+     */
+    getTutorialColumns() {
+        const steps = this.participantData.tutorial_steps || {};
+        return {
+            tutorial_completed_at: this.participantData.tutorial_completed_at,
+            tutorial_duration_ms: this.participantData.tutorial_duration_ms,
+            ...Object.fromEntries(Object.entries(steps).map(([corner, time]) => [`tutorial_${corner.replace('-', '_')}_ms`, time]))
+        };
+    }
+    
+    /**
+     * Record the seed used for all randomization so the schedule can be regenerated
+     */
+    setRandomSeed(seed, source) {
+        this.participantData.random_seed = seed;
+        this.participantData.random_seed_source = source;
+        console.log(`Random seed recorded: ${seed} (${source})`);
+    }
+    
+    /**
+     * Record which experiment configuration file and version produced this session
+     */
+    setExperimentConfigInfo(name, version, path) {
+        this.participantData.config_name = name;
+        this.participantData.config_version = version;
+        this.participantData.config_file = path;
+        console.log(`Experiment config recorded: ${name} v${version} (${path})`);
+    }
+    
+    /**
+     * Record whether the trial schedule was generated or imported (and from which file)
+     */
+    setScheduleInfo(source, file = '') {
+        this.participantData.schedule_source = source;
+        this.participantData.schedule_file = file;
+        console.log(`Trial schedule recorded: ${source}${file ? ` (${file})` : ''}`);
+    }
+    
+    /**
+     * Set the image slots declared by the stimulus file ({ slot, category, label, column } as
+     * returned by ImageManager.getAllSlots)
+     */
+    setImageSlots(slots) {
+        this.imageSlots = slots.map(slotInfo => ({ ...slotInfo }));
+        console.log(`Trial data image columns: ${this.imageSlots.map(({ label }) => label).join(', ')}`);
+    }
+    
+    /**
+     * Record the prior-session image policy, the prior sessions found and how many
+     * of their images exist
+     */
+    setPriorSessionInfo(policy, priorSessions, priorImageCount) {
+        this.participantData.prior_image_policy = policy;
+        this.participantData.prior_sessions = priorSessions.join(';');
+        this.participantData.prior_image_count = priorImageCount;
+        console.log(`Prior sessions recorded: ${priorSessions.join(', ') || 'none'} (${priorImageCount} images, policy: ${policy})`);
+    }
+    
+    /**
+     * Record the stimulus list shown in each round, the order's index among the
+     * counterbalanced orders and the assignment mode ('' when lists are not used)
+     */
+    setListAssignment(order, orderIndex, mode) {
+        this.participantData.list_order = order.join(';');
+        this.participantData.list_order_index = orderIndex === null ? '' : String(orderIndex);
+        this.participantData.list_assignment = mode;
+        console.log(`Stimulus list order recorded: ${order.join(', ') || 'none'}${mode ? ` (${mode}, order ${orderIndex})` : ''}`);
+    }
+    
+    /**
+     * Record the spotlight rendering mode of each round (modes[0] is Round 1)
+     */
+    setSpotlightModes(modes, assignment) {
+        this.participantData.spotlight_modes = modes.join(';');
+        this.participantData.spotlight_assignment = assignment;
+        console.log(`Spotlight modes recorded: ${modes.join(', ')} (${assignment})`);
+    }
+    
+    /**
+     * Set how many failed attention checks flag the participant (attentionCheck.maxFailures)
+     */
+    setAttentionCheckThreshold(maxFailures) {
+        this.attentionMaxFailures = maxFailures;
+    }
+    
+    /**
+     * Completed attention-check trials recorded so far and how many of them failed
+     */
+    getAttentionCheckSummary() {
+        const checks = this.trialData.filter(trial => trial.attention_response);
+        const failures = checks.filter(trial => trial.attention_correct === '0').length;
+        return {
+            checks: checks.length,
+            failures: failures,
+            flagged: failures >= this.attentionMaxFailures
+        };
+    }
+    
+    /**
+     * Log an experimenter pause: the interrupted trial, how long the pause lasted and
+     * whether the trial was re-run or replaced with fresh images
+     */
+    recordPause(entry) {
+        const pause = { pause_idx: this.pauseLog.length + 1, ...entry };
+        this.pauseLog.push(pause);
+        console.log(`Pause ${pause.pause_idx} recorded: trial ${pause.trial_idx}, ${Math.round(pause.pause_duration_ms)}ms, ${pause.interrupted_trial_action}`);
+    }
+    
+    /**
+     * Mark that the session was resumed after a reload or crash, and after which trial
+     */
+    recordResume(completedTrials) {
+        const resumes = this.participantData.resume_count || 0;
+        this.participantData.resume_count = resumes + 1;
+        this.participantData.resumed_at = [this.participantData.resumed_at, new Date().toISOString()].filter(Boolean).join(';');
+        this.participantData.resumed_after_trial = [this.participantData.resumed_after_trial, completedTrials].filter(value => value !== undefined && value !== '').join(';');
+        console.log(`Session resumed after trial ${completedTrials} (resume ${this.participantData.resume_count})`);
+    }
+    
+    /**
+     * Record the display layout (quadrants, pair, hexagon or octagon) images are shown in
+     */
+    setDisplayLayout(layout) {
+        this.participantData.display_layout = layout;
+        console.log(`Display layout recorded: ${layout}`);
+    }
+    
+    /**
+     * Set the stimulus subcategory dimensions to write for every displayed image
+     */
+    setSubcategoryDimensions(dimensions) {
+        this.subcategoryDimensions = [...dimensions];
+    }
+    
+    /**
+     * Set the stimulus manifest fields to write for every displayed image
+     */
+    setMetadataFields(fields) {
+        this.metadataFields = [...fields];
+    }
+    
     startExperiment() {
         this.experimentStartTime = performance.now();
         this.participantData.experiment_start_time = new Date().toISOString();
@@ -93,31 +318,48 @@ class DataManager {
             round_trial_idx: trialInfo.roundTrialIndex || 1, // 1-20 within round
             
             // Trial classification
-            trial_type: trialInfo.trialType || 'image', // 'image' or 'filler'
-            
-            // Image fields for image trials (dysphoric, threat, positive, filler)
-            img_dysphoric: '',
-            img_threat: '',
-            img_positive: '', 
-            img_filler: '', // Single filler for image trials
+            trial_type: trialInfo.trialType || 'image' // trial type from the stimulus file, e.g. 'image' or 'filler'
+        };
+        
+        // Image and position fields for every slot the stimulus file declares, e.g. img_threat,
+        // filler_2, position_filler_2 (all columns exist on every row so the CSV header is the
+        // same for every trial type)
+        this.imageSlots.forEach(({ column }) => {
+            trialRecord[column] = '';
+        });
+        this.imageSlots.forEach(({ label }) => {
+            trialRecord[`position_${label}`] = '';
+        });
+        this.imageSlots.forEach(({ slot, label, column }) => {
+            if (imageData[slot]) {
+                trialRecord[column] = imageData[slot];
+                trialRecord[`position_${label}`] = (imageData.positions && imageData.positions[slot]) || '';
+            }
+        });
+        
+        Object.assign(trialRecord, {
+            // Quadrant counterbalancing ('latin-square' plan block/row, or 'random')
+            position_assignment: imageData.positionAssignment || 'random',
+            position_plan_block: imageData.positionPlanBlock || '',
+            position_plan_row: imageData.positionPlanRow || '',
             
-            // Position fields for image trials
-            position_dysphoric: '',
-            position_threat: '',
-            position_positive: '',
-            position_filler: '',
+            // Parallel-form stimulus list the round draws from ('' when rounds share one pool)
+            stimulus_list: imageData.stimulusList || '',
             
-            // Filler trial fields (4 fillers for filler trials)
-            filler_1: '',
-            filler_2: '',
-            filler_3: '',
-            filler_4: '',
+            // 'interrupted' rows are trials aborted by an experimenter pause; the trial
+            // then runs again (same trial_idx, next trial_attempt)
+            trial_status: trialInfo.status || 'completed',
+            trial_attempt: trialInfo.attempt || 1,
+            interrupted_phase: trialInfo.interruptedPhase || '',
             
-            // Filler position fields
-            position_filler_1: '',
-            position_filler_2: '',
-            position_filler_3: '',
-            position_filler_4: '',
+            // Attention-check trials: where the target was, the response ('hit', 'miss' for a
+            // click off the target, 'timeout'), accuracy ('1'/'0') and response time
+            attention_target_position: imageData.targetPosition || '',
+            attention_response: trialInfo.attentionCheck ? trialInfo.attentionCheck.response : '',
+            attention_correct: trialInfo.attentionCheck ? (trialInfo.attentionCheck.correct ? '1' : '0') : '',
+            attention_rt_ms: trialInfo.attentionCheck && trialInfo.attentionCheck.rt !== null ? trialInfo.attentionCheck.rt.toFixed(1) : '',
+            attention_click_x: trialInfo.attentionCheck && trialInfo.attentionCheck.click ? Math.round(trialInfo.attentionCheck.click.x).toString() : '',
+            attention_click_y: trialInfo.attentionCheck && trialInfo.attentionCheck.click ? Math.round(trialInfo.attentionCheck.click.y).toString() : '',
             
             // Timing information
             trial_start_time: new Date(Date.now() - (performance.now() - trialInfo.startTime)).toISOString(),
@@ -125,60 +367,65 @@ class DataManager {
             trial_duration_ms: timing.duration,
             trialStart_relative_to_exptStart_ms: trialInfo.relativeStartTime,
             
+            // Fixation cross before image onset (empty when trial.fixationDuration is 0)
+            fixation_duration_ms: trialInfo.fixationDuration || '',
+            fixation_onset_relative_to_exptStart_ms: trialInfo.fixationOnset ? trialInfo.fixationOnset - this.experimentStartTime : '',
+            fixation_offset_relative_to_exptStart_ms: trialInfo.fixationOffset ? trialInfo.fixationOffset - this.experimentStartTime : '',
+            
+            // Drift check waiting time and where the cursor was when the images appeared
+            // (distance from the screen centre in px; fixed-point strings so 0 is kept)
+            drift_check_ms: trialInfo.driftCheckDuration || '',
+            onset_cursor_x: trialInfo.onsetCursor ? Math.round(trialInfo.onsetCursor.x).toString() : '',
+            onset_cursor_y: trialInfo.onsetCursor ? Math.round(trialInfo.onsetCursor.y).toString() : '',
+            onset_cursor_distance_px: trialInfo.onsetCursor ? trialInfo.onsetCursor.distance.toFixed(1) : '',
+            
             // Additional metadata
             viewport_width: window.innerWidth,
-            viewport_height: window.innerHeight
-        };
-        
-        // Populate image fields based on trial type and new data structure
-        if (trialInfo.trialType === 'image') {
-            console.log('Processing IMAGE trial - 4 categories');
+            viewport_height: window.innerHeight,
+            display_layout: this.participantData.display_layout || 'quadrants',
+            spotlight_mode: trialInfo.spotlightMode || '',
             
-            // For image trials: 1 dysphoric, 1 threat, 1 positive, 1 filler
-            trialRecord.img_dysphoric = imageData.dysphoric || '';
-            trialRecord.img_threat = imageData.threat || '';
-            trialRecord.img_positive = imageData.positive || '';
-            trialRecord.img_filler = imageData.filler || '';
-            
-            // Positions for image trials
-            if (imageData.positions) {
-                trialRecord.position_dysphoric = imageData.positions.dysphoric || '';
-                trialRecord.position_threat = imageData.positions.threat || '';
-                trialRecord.position_positive = imageData.positions.positive || '';
-                trialRecord.position_filler = imageData.positions.filler || '';
-            }
+            // Seed that regenerates this session's schedule
+            random_seed: this.participantData.random_seed,
             
-            console.log('Image trial populated:', {
-                dysphoric: trialRecord.img_dysphoric,
-                threat: trialRecord.img_threat,
-                positive: trialRecord.img_positive,
-                filler: trialRecord.img_filler
+            // Number of times the session had been resumed when this trial ran ('0' before any resume)
+            resume_count: String(this.participantData.resume_count || 0),
+            schedule_source: this.participantData.schedule_source || 'generated'
+        });
+        
+        // Subcategory of every displayed image, e.g. subcategory_social_threat, subcategory_source_filler_1
+        this.subcategoryDimensions.forEach(dimension => {
+            this.imageSlots.forEach(({ slot, label }) => {
+                const subcategories = imageData.subcategories && imageData.subcategories[slot];
+                trialRecord[`subcategory_${dimension}_${label}`] = subcategories ? subcategories[dimension] || '' : '';
             });
-            
-        } else if (trialInfo.trialType === 'filler') {
-            console.log('Processing FILLER trial - 4 fillers');
-            
-            // For filler trials: 4 different filler images
-            trialRecord.filler_1 = imageData.filler1 || '';
-            trialRecord.filler_2 = imageData.filler2 || '';
-            trialRecord.filler_3 = imageData.filler3 || '';
-            trialRecord.filler_4 = imageData.filler4 || '';
-            
-            // Positions for filler trials
-            if (imageData.positions) {
-                trialRecord.position_filler_1 = imageData.positions.filler1 || '';
-                trialRecord.position_filler_2 = imageData.positions.filler2 || '';
-                trialRecord.position_filler_3 = imageData.positions.filler3 || '';
-                trialRecord.position_filler_4 = imageData.positions.filler4 || '';
-            }
-            
-            console.log('Filler trial populated:', {
-                filler1: trialRecord.filler_1,
-                filler2: trialRecord.filler_2,
-                filler3: trialRecord.filler_3,
-                filler4: trialRecord.filler_4
+        });
+        
+        // Whether each displayed image is new to the participant or was shown in a prior session
+        this.imageSlots.forEach(({ slot, label }) => {
+            trialRecord[`novelty_${label}`] = (imageData.novelty && imageData.novelty[slot]) || '';
+        });
+        
+        // Stimulus manifest values of every displayed image, e.g. stim_arousal_threat, stim_luminance_filler_1
+        this.metadataFields.forEach(field => {
+            this.imageSlots.forEach(({ slot, label }) => {
+                const metadata = imageData.metadata && imageData.metadata[slot];
+                const value = metadata ? metadata[field] : null;
+                trialRecord[`stim_${field}_${label}`] = value === null || value === undefined ? '' : String(value);
             });
-        }
+        });
+        
+        // On-screen area of interest (image bounds in px) of every displayed image, e.g. aoi_left_threat
+        const imageBounds = this.getImageBounds();
+        this.imageSlots.forEach(({ slot, label }) => {
+            const bounds = imageData.positions && imageBounds[imageData.positions[slot]];
+            trialRecord[`aoi_left_${label}`] = bounds ? Math.round(bounds.left) : '';
+            trialRecord[`aoi_top_${label}`] = bounds ? Math.round(bounds.top) : '';
+            trialRecord[`aoi_width_${label}`] = bounds ? Math.round(bounds.right - bounds.left) : '';
+            trialRecord[`aoi_height_${label}`] = bounds ? Math.round(bounds.bottom - bounds.top) : '';
+        });
+        
+        console.log(`${trialRecord.trial_type} trial populated:`, Object.keys(imageData.positions || {}).map(slot => imageData[slot]));
         
         // Add mouse tracking summary if available
         if (mouseData && mouseData.length > 0) {
@@ -221,28 +468,11 @@ class DataManager {
             const imageTimes = this.calculateImageViewingTimes(mouseData, imageData, trialInfo.trialType);
             
             // Add image-specific timing data to trial record
-            // Pre-define ALL possible time_on_* columns for consistent CSV structure
-            trialRecord.time_on_dysphoric = 0;
-            trialRecord.time_on_threat = 0;
-            trialRecord.time_on_positive = 0;
-            trialRecord.time_on_filler = 0;
-            trialRecord.time_on_filler_1 = 0;
-            trialRecord.time_on_filler_2 = 0;
-            trialRecord.time_on_filler_3 = 0;
-            trialRecord.time_on_filler_4 = 0;
-            
-            // Populate only the relevant columns based on trial type
-            if (trialInfo.trialType === 'image') {
-                trialRecord.time_on_dysphoric = imageTimes.dysphoric || 0;
-                trialRecord.time_on_threat = imageTimes.threat || 0;
-                trialRecord.time_on_positive = imageTimes.positive || 0;
-                trialRecord.time_on_filler = imageTimes.filler || 0;
-            } else if (trialInfo.trialType === 'filler') {
-                trialRecord.time_on_filler_1 = imageTimes.filler1 || 0;
-                trialRecord.time_on_filler_2 = imageTimes.filler2 || 0;
-                trialRecord.time_on_filler_3 = imageTimes.filler3 || 0;
-                trialRecord.time_on_filler_4 = imageTimes.filler4 || 0;
-            }
+            // Pre-define ALL possible time_on_* columns for consistent CSV structure,
+            // populating only the slots shown on this trial
+            this.imageSlots.forEach(({ slot, label }) => {
+                trialRecord[`time_on_${label}`] = imageTimes[slot] || 0;
+            });
             
         } else {
             // Default values when no mouse data
@@ -256,23 +486,76 @@ class DataManager {
             trialRecord.time_bottom_right = 0;
             
             // Pre-define ALL possible time_on_* columns for consistent CSV structure
-            trialRecord.time_on_dysphoric = 0;
-            trialRecord.time_on_threat = 0;
-            trialRecord.time_on_positive = 0;
-            trialRecord.time_on_filler = 0;
-            trialRecord.time_on_filler_1 = 0;
-            trialRecord.time_on_filler_2 = 0;
-            trialRecord.time_on_filler_3 = 0;
-            trialRecord.time_on_filler_4 = 0;
+            this.imageSlots.forEach(({ label }) => {
+                trialRecord[`time_on_${label}`] = 0;
+            });
         }
         
         this.trialData.push(trialRecord);
         
+        // Failed attention checks up to and including this trial, and whether they reach
+        // attentionCheck.maxFailures (on every row, so each row shows the flag as it stood)
+        const attention = this.getAttentionCheckSummary();
+        trialRecord.attention_failures = String(attention.failures);
+        trialRecord.attention_flagged = attention.flagged ? '1' : '0';
+        
         console.log(`Trial ${trialRecord.trial_idx} (Round ${trialRecord.round_number}, Trial ${trialRecord.round_trial_idx}) recorded`);
         console.log('Total trials recorded:', this.trialData.length);
         console.log('=== END RECORDING TRIAL DATA ===');
     }
     
+    /**
+     * Record one administered questionnaire (a QuestionnaireManager.buildRecord record)
+     * under the participant ID and session
+     */
+    recordQuestionnaire(record) {
+        const row = {
+            participant_id: this.participantData.participant_id,
+            session: this.participantData.session,
+            questionnaire_order: String(this.questionnaireData.length + 1),
+            ...record
+        };
+        this.questionnaireData.push(row);
+        console.log(`Questionnaire recorded: ${row.questionnaire_id} (${row.placement})`);
+        return row;
+    }
+    
+    /**
+     * Record the post-trial ratings of one displayed image. responses maps each rating
+     * dimension (valence, arousal) to { value, rt } with rt in ms from rating onset.
+     * The image's dwell time comes from the trial's time_on_ column, so call this after
+     * recordTrialData().
+     */
+    recordRating(trialInfo, imageData, slot, responses, timing) {
+        const slotInfo = this.imageSlots.find(entry => entry.slot === slot);
+        const trialRecord = this.trialData.find(record =>
+            record.trial_idx === trialInfo.trialIndex + 1 && record.trial_attempt === (trialInfo.attempt || 1));
+        
+        const rating = {
+            trial_idx: trialInfo.trialIndex + 1,
+            round_number: trialInfo.roundNumber || 1,
+            round_trial_idx: trialInfo.roundTrialIndex || 1,
+            trial_type: trialInfo.trialType,
+            slot: slotInfo ? slotInfo.label : slot,
+            image: imageData[slot],
+            position: imageData.positions[slot],
+            // Cursor dwell time on the image during the viewing window ('0' when never visited)
+            dwell_time_ms: trialRecord ? String(trialRecord[`time_on_${slotInfo ? slotInfo.label : slot}`] || 0) : '',
+            rating_order: String(timing.order),
+            rating_scale: timing.scale
+        };
+        Object.entries(responses).forEach(([dimension, response]) => {
+            rating[dimension] = String(response.value);
+            rating[`${dimension}_rt_ms`] = response.rt.toFixed(1);
+        });
+        rating.rating_onset_relative_to_exptStart_ms = timing.onset - this.experimentStartTime;
+        rating.rating_duration_ms = timing.duration;
+        
+        this.ratingsData.push(rating);
+        console.log(`Rating recorded for trial ${rating.trial_idx}, ${rating.image}:`, responses);
+        return rating;
+    }
+    
     /**
      * Record detailed mouse tracking data with round information
      */
@@ -287,6 +570,9 @@ class DataManager {
         
         console.log(`Recording ${mouseData.length} mouse data points for trial ${trialIndex + 1}`);
         
+        // Bounds of the images still on screen, for the per-point AOI
+        const imageBounds = this.getImageBounds();
+        
         mouseData.forEach((point, pointIndex) => {
             if (point && typeof point.x === 'number' && typeof point.y === 'number') {
                 
@@ -333,8 +619,9 @@ class DataManager {
                         new Date(point.timestamp || Date.now()).toISOString(),
                     time_elapsed_since_trialStart_ms: point.time || 0,
                     
-                    // Screen quadrant
+                    // Screen quadrant and the position of the image under the cursor ('' if none)
                     quadrant: this.getQuadrant(point.x, point.y),
+                    aoi_position: this.getAOIPosition(point.x, point.y, imageBounds),
                     
                     // Movement metrics - CALCULATED from actual data
                     velocity: Math.round(velocity * 1000) / 1000,  // Round to 3 decimal places
@@ -441,57 +728,24 @@ class DataManager {
     calculateImageViewingTimes(mouseData, imageData, trialType) {
         const imageTimes = {};
         
+        const slots = Object.keys(imageData.positions || {});
+        
         if (!mouseData || mouseData.length === 0) {
             // Return zero times for all images
-            if (trialType === 'image') {
-                return { dysphoric: 0, threat: 0, positive: 0, filler: 0 };
-            } else if (trialType === 'filler') {
-                return { filler1: 0, filler2: 0, filler3: 0, filler4: 0 };
-            }
-            return {};
-        }
-        
-        // Get current image positions and sizes from the DOM
-        const imageContainer = document.getElementById('image-container');
-        if (!imageContainer) {
-            console.warn('Image container not found for timing calculation');
+            slots.forEach(slot => {
+                imageTimes[slot] = 0;
+            });
             return imageTimes;
         }
         
-        const imageElements = {
-            'top-left': imageContainer.querySelector('#top-left-image'),
-            'top-right': imageContainer.querySelector('#top-right-image'),
-            'bottom-left': imageContainer.querySelector('#bottom-left-image'),
-            'bottom-right': imageContainer.querySelector('#bottom-right-image')
-        };
-        
-        // Get bounding rectangles for each image
-        const imageBounds = {};
-        Object.entries(imageElements).forEach(([position, element]) => {
-            if (element && element.style.display !== 'none') {
-                const rect = element.getBoundingClientRect();
-                imageBounds[position] = {
-                    left: rect.left,
-                    right: rect.right,
-                    top: rect.top,
-                    bottom: rect.bottom
-                };
-            }
-        });
+        // Get current image positions and sizes from the DOM
+        const imageBounds = this.getImageBounds();
         
-        // Map image categories to their positions
+        // Map image slots to their positions
         const imagePositionMap = {};
-        if (trialType === 'image' && imageData.positions) {
-            imagePositionMap[imageData.positions.dysphoric] = 'dysphoric';
-            imagePositionMap[imageData.positions.threat] = 'threat';
-            imagePositionMap[imageData.positions.positive] = 'positive';
-            imagePositionMap[imageData.positions.filler] = 'filler';
-        } else if (trialType === 'filler' && imageData.positions) {
-            imagePositionMap[imageData.positions.filler1] = 'filler1';
-            imagePositionMap[imageData.positions.filler2] = 'filler2';
-            imagePositionMap[imageData.positions.filler3] = 'filler3';
-            imagePositionMap[imageData.positions.filler4] = 'filler4';
-        }
+        slots.forEach(slot => {
+            imagePositionMap[imageData.positions[slot]] = slot;
+        });
         
         // Initialize timing counters
         Object.values(imagePositionMap).forEach(imageName => {
@@ -536,6 +790,42 @@ class DataManager {
         return imageTimes;
     }
     
+    /**
+     * Bounding rectangles of the images currently shown, keyed by layout position
+     * (read from the <img data-position> elements ImageManager creates)
+     */
+    getImageBounds() {
+        const imageBounds = {};
+        const imageContainer = document.getElementById('image-container');
+        if (!imageContainer) {
+            console.warn('Image container not found for AOI calculation');
+            return imageBounds;
+        }
+        
+        imageContainer.querySelectorAll('.stimulus-image[data-position]').forEach(element => {
+            if (element.style.display !== 'none') {
+                const rect = element.getBoundingClientRect();
+                imageBounds[element.dataset.position] = {
+                    left: rect.left,
+                    right: rect.right,
+                    top: rect.top,
+                    bottom: rect.bottom
+                };
+            }
+        });
+        return imageBounds;
+    }
+    
+    /**
+     * Layout position of the image containing a point ('' if it is on no image)
+     */
+    getAOIPosition(x, y, imageBounds) {
+        const match = Object.entries(imageBounds).find(([, bounds]) =>
+            x >= bounds.left && x <= bounds.right && y >= bounds.top && y <= bounds.bottom
+        );
+        return match ? match[0] : '';
+    }
+    
     /**
      * Get screen quadrant for mouse position
      */
@@ -569,6 +859,9 @@ class DataManager {
     clearData() {
         this.trialData = [];
         this.mouseTrackingData = [];
+        this.pauseLog = [];
+        this.ratingsData = [];
+        this.questionnaireData = [];
         this.experimentStartTime = null;
         this.currentTrialStartTime = null;
         console.log('All experiment data cleared');
@@ -637,12 +930,101 @@ class DataManager {
         
         // Create and download file
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const filename = `trial_data_ppt${this.participantData.participant_id}_s${this.participantData.session}_${timestamp}.csv`;
+        const filename = `${this.exportPrefix}trial_data_ppt${this.participantData.participant_id}_s${this.participantData.session}_${timestamp}.csv`;
         
         this.downloadCSV(csvContent, filename);
         console.log(`Trial data exported: ${filename}`);
     }
     
+    /**
+     * Export the experimenter pause log as CSV
+     */
+    exportPauseLog() {
+        if (this.pauseLog.length === 0) {
+            console.warn('No pauses to export');
+            return;
+        }
+        
+        const fieldNames = Object.keys(this.pauseLog[0]);
+        const csvRows = this.pauseLog.map(pause => {
+            return fieldNames.map(field => {
+                const value = pause[field];
+                if (typeof value === 'string' && value.includes(',')) {
+                    return `"${value}"`;
+                }
+                return value === undefined || value === null ? '' : value;
+            }).join(',');
+        });
+        
+        const csvContent = [fieldNames.join(','), ...csvRows].join('\n');
+        
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const filename = `pause_log_ppt${this.participantData.participant_id}_s${this.participantData.session}_${timestamp}.csv`;
+        
+        this.downloadCSV(csvContent, filename);
+        console.log(`Pause log exported: ${filename}`);
+    }
+    
+    /**
+     * Export the post-trial image ratings as CSV (one row per rated image)
+     */
+    exportRatings() {
+        if (this.ratingsData.length === 0) {
+            console.warn('No ratings to export');
+            return;
+        }
+        
+        const fieldNames = Object.keys(this.ratingsData[0]);
+        const csvRows = this.ratingsData.map(rating => {
+            return fieldNames.map(field => {
+                const value = rating[field];
+                if (typeof value === 'string' && value.includes(',')) {
+                    return `"${value}"`;
+                }
+                return value === undefined || value === null ? '' : value;
+            }).join(',');
+        });
+        
+        const csvContent = [fieldNames.join(','), ...csvRows].join('\n');
+        
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const filename = `ratings_ppt${this.participantData.participant_id}_s${this.participantData.session}_${timestamp}.csv`;
+        
+        this.downloadCSV(csvContent, filename);
+        console.log(`Ratings exported: ${filename}`);
+    }
+    
+    /**
+     * Export the questionnaires as CSV, one row per administered questionnaire. Item
+     * and score columns are prefixed with the questionnaire ID, so each row fills only
+     * the columns of its own questionnaire.
+     */
+    exportQuestionnaires() {
+        if (this.questionnaireData.length === 0) {
+            console.warn('No questionnaires to export');
+            return;
+        }
+        
+        const fieldNames = [...new Set(this.questionnaireData.flatMap(row => Object.keys(row)))];
+        const csvRows = this.questionnaireData.map(row => {
+            return fieldNames.map(field => {
+                const value = row[field];
+                if (typeof value === 'string' && value.includes(',')) {
+                    return `"${value}"`;
+                }
+                return value === undefined || value === null ? '' : value;
+            }).join(',');
+        });
+        
+        const csvContent = [fieldNames.join(','), ...csvRows].join('\n');
+        
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const filename = `questionnaires_ppt${this.participantData.participant_id}_s${this.participantData.session}_${timestamp}.csv`;
+        
+        this.downloadCSV(csvContent, filename);
+        console.log(`Questionnaires exported: ${filename}`);
+    }
+    
     /**
      * Export mouse tracking data as CSV  
      */
@@ -662,7 +1044,7 @@ class DataManager {
         const csvContent = [csvHeader, ...csvRows].join('\n');
         
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-        const filename = `mouse_data_ppt${this.participantData.participant_id}_s${this.participantData.session}_${timestamp}.csv`;
+        const filename = `${this.exportPrefix}mouse_data_ppt${this.participantData.participant_id}_s${this.participantData.session}_${timestamp}.csv`;
         
         this.downloadCSV(csvContent, filename);
         console.log(`Mouse tracking data exported: ${filename}`);
@@ -672,6 +1054,7 @@ class DataManager {
      * Export participant information as CSV
      */
     exportParticipantInfo() {
+        const attentionSummary = this.getAttentionCheckSummary();
         const participantInfo = {
             participant_id: this.participantData.participant_id,
             email: this.participantData.email,
@@ -682,7 +1065,34 @@ class DataManager {
             viewport_size: this.participantData.viewport_size,
             device_pixel_ratio: this.participantData.device_pixel_ratio,
             user_agent: this.participantData.user_agent,
-            platform: this.participantData.platform
+            platform: this.participantData.platform,
+            ...this.getConsentColumns(),
+            ...this.getTutorialColumns(),
+            ...this.getCalibrationColumns(),
+            random_seed: this.participantData.random_seed,
+            random_seed_source: this.participantData.random_seed_source,
+            config_name: this.participantData.config_name,
+            config_version: this.participantData.config_version,
+            config_file: this.participantData.config_file,
+            schedule_source: this.participantData.schedule_source,
+            schedule_file: this.participantData.schedule_file,
+            display_layout: this.participantData.display_layout,
+            resume_count: this.participantData.resume_count,
+            pause_count: String(this.pauseLog.length),
+            total_pause_ms: this.pauseLog.reduce((sum, pause) => sum + pause.pause_duration_ms, 0),
+            resumed_at: this.participantData.resumed_at,
+            resumed_after_trial: this.participantData.resumed_after_trial,
+            list_assignment: this.participantData.list_assignment,
+            list_order: this.participantData.list_order,
+            list_order_index: this.participantData.list_order_index,
+            spotlight_assignment: this.participantData.spotlight_assignment,
+            spotlight_modes: this.participantData.spotlight_modes,
+            prior_image_policy: this.participantData.prior_image_policy,
+            prior_sessions: this.participantData.prior_sessions,
+            prior_image_count: this.participantData.prior_image_count,
+            attention_checks: String(attentionSummary.checks),
+            attention_check_failures: String(attentionSummary.failures),
+            attention_flagged: attentionSummary.flagged ? '1' : '0'
         };
         
         // Create CSV header
@@ -714,6 +1124,15 @@ class DataManager {
         this.exportTrialData();
         this.exportMouseData();
         this.exportParticipantInfo();
+        if (this.pauseLog.length > 0) {
+            this.exportPauseLog();
+        }
+        if (this.ratingsData.length > 0) {
+            this.exportRatings();
+        }
+        if (this.questionnaireData.length > 0) {
+            this.exportQuestionnaires();
+        }
         
         // Log summary
         const summary = this.getSummaryStats();
@@ -749,7 +1168,9 @@ class DataManager {
         }
         
         
-        const totalTrials = this.trialData.length;
+        // Trials aborted by an experimenter pause have no mouse data
+        const trials = this.trialData.filter(trial => trial.trial_status !== 'interrupted');
+        const totalTrials = trials.length;
         const totalHeatmaps = totalTrials * 2; // 2 styles per trial
         const results = { success: 0, errors: 0 };
         const zip = new JSZip();
@@ -758,7 +1179,7 @@ class DataManager {
         const timestamp = new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
         
         for (let i = 0; i < totalTrials; i++) {
-            const trial = this.trialData[i];
+            const trial = trials[i];
             
             try {
                 // Get mouse data for this trial
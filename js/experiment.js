@@ -3,16 +3,47 @@
  * Orchestrates all components and manages experiment flow
  */
 
+// Post-trial rating dimensions (config ratings.dimensions), rated on a 9-point
+// Self-Assessment-Manikin-style scale from low to high
+const RATING_DIMENSIONS = {
+    valence: {
+        question: 'How unpleasant or pleasant did this image make you feel?',
+        low: 'Very unpleasant',
+        high: 'Very pleasant'
+    },
+    arousal: {
+        question: 'How calm or excited did this image make you feel?',
+        low: 'Very calm',
+        high: 'Very excited'
+    }
+};
+const RATING_SCALE_POINTS = 9;
+
+// round_number of practice trials in the practice data export
+const PRACTICE_ROUND_LABEL = 'practice';
+
+// Spotlight tutorial targets in the order they are shown, each placed this fraction of
+// the viewport width and height in from its corner
+const TUTORIAL_CORNERS = ['top-left', 'top-right', 'bottom-right', 'bottom-left'];
+const TUTORIAL_CORNER_INSET = 0.15;
+
 class ExperimentController {
     constructor() {
         this.currentState = 'welcome';
         
-        // 3-Round System State
+        // 3-Round System State (defaults - overwritten by data/experiment-config.json)
         this.totalRounds = 3;
         this.currentRound = 1;
         this.trialsPerRound = 20;
         this.imageTrialsPerRound = 12;
         this.fillerTrialsPerRound = 8;
+        this.trialCounts = { image: 12, filler: 8 };
+        this.sequencing = {             // Trial-type order constraints (see generateTrialPattern)
+            firstTrialType: null,
+            maxRunLength: {},
+            maxConsecutiveEmotional: null,
+            emotionalTrialTypes: ['image']
+        };
         
         // Trial Counters
         this.roundTrialCounter = 0;     // 1-20 within current round
@@ -36,14 +67,36 @@ class ExperimentController {
         this.mouseView = null;
         this.imageManager = null;
         this.dataManager = null;
-        
-        // Experiment settings
+        this.configManager = null;
+        this.scheduleManager = null;    // Full-session trial schedule (generated or imported)
+        this.sessionRegistry = null;    // Images seen in the participant's earlier sessions
+        this.sessionStore = null;       // Crash-safe copy of the running session (IndexedDB)
+        this.practiceManager = null;    // Practice trials from the stimulus file's practice pool
+        this.practiceDataManager = null; // Practice trial and mouse data, exported separately
+        this.calibrationManager = null; // Screen calibration for sizes in degrees of visual angle
+        this.storedSession = null;      // Session record saved after every trial (null = not saved)
+        this.experimentConfig = null;
+        this.random = null;             // Shared seeded PRNG for all randomization
+        
+        // Experiment settings (defaults - overwritten by data/experiment-config.json)
         this.settings = {
             imageViewingTime: 15000, // 15 seconds automatic progression
+            interTrialInterval: 250, // Brief pause between trials
             enableMouseTracking: true,
-            enablePractice: false,  // DISABLED - No practice round
+            enablePractice: false, // Practice trials before Round 1 (practice.enabled)
             showTimer: false, // Hide timer during main trials
-            apertureSize: '20%' // Aperture size for mouse spotlight (increased from 12%)
+            fixationDuration: 2000, // Central fixation cross before image onset (ms, 0 = none)
+            fixationJitter: 0, // Random extra fixation time, 0 to this many ms
+            driftCheck: false, // Wait for the cursor to rest at the screen centre before image onset
+            driftCheckRadius: 40, // Drift check target radius (px)
+            driftCheckHoldTime: 500, // Time the cursor must stay inside the target (ms)
+            apertureSize: '20%', // Aperture size for mouse spotlight (increased from 12%)
+            overlayAlpha: 0.85, // Overlay opacity outside the spotlight
+            overlayColour: 'black', // Overlay colour outside the spotlight
+            apertureGauss: 15, // Spotlight edge smoothing
+            roundPassword: 'ctsfreeviewing', // Password required to start Round 2 and 3
+            pauseKey: 'p', // Experimenter pause key
+            interruptedTrial: 'replace' // After a pause: 'rerun' the interrupted trial or 'replace' its images
         };
         
         // State tracking
@@ -51,6 +104,14 @@ class ExperimentController {
         this.isExperimentRunning = false;
         this.currentTrialData = null;
         this.currentMouseData = [];
+        this.cursorPosition = null; // Latest cursor position (viewport px), for the drift check
+        this.spotlightModes = [];   // Spotlight rendering mode of each round (spotlight.modes)
+        
+        // Experimenter pause (pause.key): a pause aborts the running trial
+        this.trialInProgress = false;
+        this.pauseRequested = false;
+        this.wakeFromDelay = null;      // Ends the current interruptible wait early
+        this.resumeFromPause = null;    // Resolves the pause screen wait
         
         console.log('ExperimentController initialized');
     }
@@ -60,27 +121,187 @@ class ExperimentController {
             // Initialize components
             this.initializeComponents();
             
+            // Load experiment configuration before anything depends on it
+            await this.loadExperimentConfig();
+            
             // Set up event listeners
             this.bindEvents();
             
-            // Initialize first screen
-            this.showScreen('welcome');
+            // Offer to resume a session interrupted by a reload or crash, else start fresh
+            if (!(await this.offerResume())) {
+                this.showScreen('welcome');
+            }
             
             console.log('Experiment controller ready');
         } catch (error) {
             console.error('Failed to initialize experiment:', error);
-            this.showError('Failed to initialize experiment. Please refresh the page.');
+            this.showError(`Failed to initialize experiment. Please refresh the page.\n\n${error.message}`);
+        }
+    }
+    
+    /**
+     * Load the versioned experiment configuration and the stimulus file it names,
+     * then apply them to the controller
+     */
+    async loadExperimentConfig() {
+        const config = await this.configManager.loadConfig();
+        
+        // The layout sets how many positions trial compositions may fill, so select it first
+        this.imageManager.setDisplayLayout(config.display.layout, config.display.eccentricity);
+        // Pixel image sizes apply now; sizes in degrees once the screen is calibrated
+        this.imageManager.setImageWidth(typeof config.display.imageSize === 'number' ? config.display.imageSize : null);
+        
+        // Categories and trial-type compositions come from the stimulus file
+        await this.imageManager.loadStimulusDefinition(config.stimuli.file);
+        this.configManager.validateTrialTypes(config, this.imageManager.getTrialTypes());
+        const counterbalancedTrialTypes = Object.keys(config.rounds.trialCounts)
+            .filter(trialType => this.imageManager.isCounterbalancedTrialType(trialType));
+        this.configManager.validateDisplayLayout(config, Object.fromEntries(counterbalancedTrialTypes
+            .map(trialType => [trialType, this.imageManager.getTrialSlots(trialType).length])), this.imageManager.positionNames.length);
+        this.configManager.validateStimulusLists(config, this.imageManager.getListNames());
+        if (config.practice.enabled) {
+            this.configManager.validatePracticePool(config, this.practiceManager.getShortfalls(config.practice.trialType, config.practice.trials));
+        }
+        
+        // Per-image metadata (normative ratings, source, luminance, size) for the trial data
+        if (config.stimuli.manifest) {
+            await this.imageManager.loadStimulusManifest(config.stimuli.manifest);
+        }
+        this.configManager.validateMatchingFields(config, this.imageManager.getNumericMetadataFields());
+        
+        // Consent text and questionnaire definitions, so a broken file stops the experiment at startup
+        await this.consentManager.loadConsent(config.consent.file);
+        await this.questionnaireManager.loadDefinitions(config.questionnaires.forms);
+        
+        this.applyExperimentConfig(config);
+    }
+    
+    /**
+     * Apply round structure, timing and MouseView settings from a validated config
+     */
+    applyExperimentConfig(config) {
+        this.experimentConfig = config;
+        
+        // Round structure
+        this.totalRounds = config.rounds.totalRounds;
+        this.trialCounts = { ...config.rounds.trialCounts };
+        this.imageTrialsPerRound = this.trialCounts.image || 0;
+        this.fillerTrialsPerRound = this.trialCounts.filler || 0;
+        this.trialsPerRound = Object.values(this.trialCounts).reduce((sum, count) => sum + count, 0);
+        
+        // Trial-type sequencing constraints - fail now rather than mid-session if unsatisfiable
+        this.sequencing = { ...config.sequencing };
+        this.generateTrialPattern();
+        
+        // Trial timing and overlay settings
+        this.updateSettings({
+            imageViewingTime: config.trial.imageViewingTime,
+            interTrialInterval: config.rounds.interTrialInterval,
+            showTimer: config.trial.showTimer,
+            fixationDuration: config.trial.fixationDuration,
+            fixationJitter: config.trial.fixationJitter,
+            driftCheck: config.trial.driftCheck,
+            driftCheckRadius: config.trial.driftCheckRadius,
+            driftCheckHoldTime: config.trial.driftCheckHoldTime,
+            apertureSize: config.mouseView.apertureSize,
+            overlayAlpha: config.mouseView.overlayAlpha,
+            overlayColour: config.mouseView.overlayColour,
+            apertureGauss: config.mouseView.apertureGauss,
+            roundPassword: config.rounds.password,
+            pauseKey: config.pause.key,
+            interruptedTrial: config.pause.interruptedTrial,
+            enablePractice: config.practice.enabled
+        });
+        
+        // Post-trial ratings are downloaded separately from the trial data
+        const downloadRatingsBtn = document.getElementById('download-ratings');
+        if (downloadRatingsBtn) {
+            downloadRatingsBtn.style.display = config.ratings.trialTypes.length > 0 ? 'block' : 'none';
+        }
+        const downloadRecognitionBtn = document.getElementById('download-recognition');
+        if (downloadRecognitionBtn) {
+            downloadRecognitionBtn.style.display = config.recognition.enabled ? 'block' : 'none';
+        }
+        const downloadQuestionnairesBtn = document.getElementById('download-questionnaires');
+        if (downloadQuestionnairesBtn) {
+            downloadQuestionnairesBtn.style.display = config.questionnaires.forms.length > 0 ? 'block' : 'none';
         }
+        const downloadPracticeBtn = document.getElementById('download-practice-data');
+        if (downloadPracticeBtn) {
+            downloadPracticeBtn.style.display = config.practice.enabled ? 'block' : 'none';
+        }
+        
+        // Failed attention checks that flag the participant in the trial data
+        this.dataManager.setAttentionCheckThreshold(config.attentionCheck.maxFailures);
+        
+        // Quadrant counterbalancing for image trials
+        this.imageManager.setPositionAssignment(config.counterbalancing.positionAssignment);
+        this.dataManager.setDisplayLayout(config.display.layout);
+        this.practiceDataManager.setDisplayLayout(config.display.layout);
+        
+        // Spread stimulus subcategories (e.g. social vs non-social) evenly over rounds
+        this.imageManager.setSubcategoryBalancing(config.stimuli.balanceSubcategories);
+        
+        // Keep images shown together within the configured arousal/luminance ranges
+        this.imageManager.setWithinTrialMatching(config.stimuli.matchWithinTrial);
+        
+        // Trial data columns follow the stimulus file's slots and subcategory dimensions
+        [this.dataManager, this.practiceDataManager].forEach(manager => {
+            manager.setImageSlots(this.imageManager.getAllSlots());
+            manager.setSubcategoryDimensions(this.imageManager.getSubcategoryDimensions());
+            manager.setMetadataFields(this.imageManager.getMetadataFields());
+        });
+        
+        // Record which configuration produced this session's data
+        this.dataManager.setExperimentConfigInfo(config.name, config.version, this.configManager.configPath);
+        
+        // Keep participant-facing text in sync with the configured structure
+        this.updateStructureText();
+        
+        console.log(`Experiment config applied: ${this.totalRounds} rounds × ${this.trialsPerRound} trials`, this.trialCounts);
+    }
+    
+    /**
+     * Fill placeholders in index.html that describe the round structure and layout
+     */
+    updateStructureText() {
+        const values = {
+            'total-rounds': this.totalRounds,
+            'trials-per-round': this.trialsPerRound,
+            'viewing-seconds': Math.round(this.settings.imageViewingTime / 1000),
+            'layout-description': this.imageManager.getLayoutDescription()
+        };
+        
+        Object.entries(values).forEach(([className, value]) => {
+            document.querySelectorAll(`.${className}`).forEach(element => {
+                element.textContent = value;
+            });
+        });
     }
     
     initializeComponents() {
-        // Initialize managers (removed practice manager)
+        // Initialize managers
+        // One seeded generator shared by every module that randomizes
+        this.random = new SeededRandom();
+        
         console.log('🔄 Creating ImageManager instance...');
-        this.imageManager = new ImageManager();
+        this.imageManager = new ImageManager(this.random);
         console.log('✅ ImageManager created:', this.imageManager);
         console.log('🔍 Checking for initializeDynamicPositioning method:', typeof this.imageManager.initializeDynamicPositioning);
         
         this.dataManager = new DataManager();
+        this.configManager = new ConfigManager();
+        this.scheduleManager = new ScheduleManager(this.imageManager, this.dataManager);
+        this.sessionRegistry = new SessionRegistry();
+        this.sessionStore = new SessionStore();
+        this.recognitionManager = new RecognitionManager(this.imageManager, this.dataManager, this.random);
+        this.questionnaireManager = new QuestionnaireManager();
+        this.consentManager = new ConsentManager();
+        this.calibrationManager = new CalibrationManager();
+        this.practiceManager = new PracticeManager(this.imageManager, this.random);
+        // Practice data are recorded and exported on their own (participant information is copied in runPractice)
+        this.practiceDataManager = new DataManager();
+        this.practiceDataManager.exportPrefix = 'practice_';
         
         // Initialize dynamic positioning system
         console.log('🚀 Calling initializeDynamicPositioning...');
@@ -90,7 +311,6 @@ class ExperimentController {
         window.imageManager = this.imageManager;
         
         console.log('All components initialized - MouseView.js will be activated during trials');
-        console.log('3-Round System: Practice disabled, direct to experiment');
         console.log('Dynamic positioning system activated for responsive image layout');
         console.log('Test dynamic positioning: window.imageManager.testDynamicPositioning()');
     }
@@ -105,12 +325,33 @@ class ExperimentController {
         // Keyboard events
         document.addEventListener('keydown', (e) => this.handleKeyPress(e));
         
+        // Cursor position for the drift check and the onset cursor position in the trial data
+        document.addEventListener('mousemove', (e) => {
+            this.cursorPosition = { x: e.clientX, y: e.clientY };
+        });
+        
+        // Pause screen
+        const resumeExperimentBtn = document.getElementById('resume-experiment');
+        if (resumeExperimentBtn) {
+            resumeExperimentBtn.addEventListener('click', () => {
+                if (this.resumeFromPause) {
+                    this.resumeFromPause();
+                }
+            });
+        }
+        
         // Participant form events
         const participantForm = document.getElementById('participant-form');
         if (participantForm) {
             participantForm.addEventListener('submit', (e) => this.handleParticipantForm(e));
         }
         
+        // Generate and download a schedule without starting the session
+        const downloadScheduleBtn = document.getElementById('download-schedule');
+        if (downloadScheduleBtn) {
+            downloadScheduleBtn.addEventListener('click', () => this.handleScheduleDownload());
+        }
+        
         
         // Continue trial button
         const continueTrialBtn = document.getElementById('continue-trial');
@@ -136,6 +377,38 @@ class ExperimentController {
             downloadTrialHeatmapsBtn.addEventListener('click', () => this.generateTrialHeatmaps());
         }
         
+        const downloadScheduleJsonBtn = document.getElementById('download-schedule-json');
+        const downloadScheduleCsvBtn = document.getElementById('download-schedule-csv');
+        if (downloadScheduleJsonBtn) {
+            downloadScheduleJsonBtn.addEventListener('click', () => this.scheduleManager.exportScheduleJSON());
+        }
+        if (downloadScheduleCsvBtn) {
+            downloadScheduleCsvBtn.addEventListener('click', () => this.scheduleManager.exportScheduleCSV());
+        }
+        const downloadRatingsBtn = document.getElementById('download-ratings');
+        if (downloadRatingsBtn) {
+            downloadRatingsBtn.addEventListener('click', () => this.dataManager.exportRatings());
+        }
+        const downloadRecognitionBtn = document.getElementById('download-recognition');
+        if (downloadRecognitionBtn) {
+            downloadRecognitionBtn.addEventListener('click', () => this.recognitionManager.exportResults());
+        }
+        const downloadQuestionnairesBtn = document.getElementById('download-questionnaires');
+        if (downloadQuestionnairesBtn) {
+            downloadQuestionnairesBtn.addEventListener('click', () => this.dataManager.exportQuestionnaires());
+        }
+        const downloadPracticeBtn = document.getElementById('download-practice-data');
+        if (downloadPracticeBtn) {
+            downloadPracticeBtn.addEventListener('click', () => {
+                this.practiceDataManager.exportTrialData();
+                this.practiceDataManager.exportMouseData();
+            });
+        }
+        const downloadPauseLogBtn = document.getElementById('download-pause-log');
+        if (downloadPauseLogBtn) {
+            downloadPauseLogBtn.addEventListener('click', () => this.dataManager.exportPauseLog());
+        }
+        
         
         // Inter-round progression buttons
         const proceedRound2Btn = document.getElementById('proceed-round2');
@@ -200,31 +473,202 @@ class ExperimentController {
     }
     
     async handleStartExperiment() {
+        // Informed consent comes before any participant data is entered
+        if (this.consentManager.isEnabled() && !this.dataManager.participantData.consent_timestamp) {
+            this.showConsent();
+            return;
+        }
         this.showScreen('participant');
     }
     
+    /**
+     * Show the consent text with a checkbox per agreement. "I agree" is enabled once
+     * every required agreement is ticked and leads to the participant form; "I do not
+     * agree" ends the session with the decline message.
+     */
+    showConsent() {
+        const consent = this.consentManager.consent;
+        const textContainer = document.getElementById('consent-text');
+        const agreementsContainer = document.getElementById('consent-agreements');
+        const agreeButton = document.getElementById('consent-agree');
+        
+        document.getElementById('consent-title').textContent = consent.title;
+        document.getElementById('consent-version').textContent = `Version ${consent.version}`;
+        textContainer.innerHTML = '';
+        consent.sections.forEach(section => {
+            if (section.heading) {
+                const heading = document.createElement('h3');
+                heading.textContent = section.heading;
+                textContainer.appendChild(heading);
+            }
+            const text = document.createElement('p');
+            text.textContent = section.text;
+            textContainer.appendChild(text);
+        });
+        
+        const choices = {};
+        agreementsContainer.innerHTML = '';
+        consent.agreements.forEach(agreement => {
+            const label = document.createElement('label');
+            label.className = 'consent-agreement';
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.addEventListener('change', () => {
+                choices[agreement.id] = checkbox.checked;
+                agreeButton.disabled = this.consentManager.getMissingAgreements(choices).length > 0;
+            });
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(agreement.text));
+            agreementsContainer.appendChild(label);
+        });
+        agreeButton.disabled = true;
+        
+        document.getElementById('consent-form').style.display = 'block';
+        document.getElementById('consent-declined').style.display = 'none';
+        agreeButton.onclick = () => {
+            // The button is disabled until then, but do not rely on it
+            if (this.consentManager.getMissingAgreements(choices).length > 0) {
+                return;
+            }
+            this.dataManager.setConsent(this.consentManager.buildRecord(choices));
+            this.showScreen('participant');
+        };
+        document.getElementById('consent-decline').onclick = () => {
+            document.getElementById('consent-form').style.display = 'none';
+            document.getElementById('consent-declined-message').textContent = consent.declineMessage ||
+                'You have chosen not to take part. You may close this window.';
+            document.getElementById('consent-declined').style.display = 'block';
+            console.log(`Consent declined (version ${consent.version})`);
+        };
+        
+        this.showScreen('consent');
+    }
+    
     async handleParticipantForm(event) {
         event.preventDefault();
         
+        if (!this.applyParticipantForm()) {
+            return;
+        }
+        
+        // Start loading images
+        await this.loadImages();
+    }
+    
+    /**
+     * Validate the participant form, record the participant and seed randomization.
+     * Returns false if a required field is missing.
+     */
+    applyParticipantForm() {
         const participantId = document.getElementById('participant-id').value;
         const participantEmail = document.getElementById('participant-email').value;
         const session = document.getElementById('session').value;
         
         if (!participantId.trim()) {
             alert('Please enter a participant ID');
-            return;
+            return false;
         }
         
         if (!participantEmail.trim()) {
             alert('Please enter an email address');
-            return;
+            return false;
         }
         
         // Set participant data
         this.dataManager.setParticipantInfo(participantId, session, participantEmail);
         
-        // Start loading images
-        await this.loadImages();
+        // Seed all randomization before any pools or trial orders are shuffled
+        this.seedRandomization(participantId, session);
+        
+        // Counterbalance which stimulus list each round shows (parallel-form designs)
+        this.assignStimulusLists(participantId);
+        this.assignSpotlightModes(participantId);
+        return true;
+    }
+    
+    /**
+     * Choose this participant's list-to-round order (counterbalancing.listAssignment)
+     * when the stimulus file defines parallel stimulus lists
+     */
+    assignStimulusLists(participantId) {
+        const mode = this.experimentConfig.counterbalancing.listAssignment;
+        const { order, index } = this.imageManager.assignListOrder(participantId.trim(), mode, this.totalRounds);
+        this.dataManager.setListAssignment(order, index, order.length > 0 ? mode : '');
+    }
+    
+    /**
+     * Choose this participant's spotlight rendering modes (spotlight.assignment):
+     * 'participant' shows every round in one mode, 'round' rotates spotlight.modes
+     * over the rounds. The mode is crossed with the stimulus list order: numeric
+     * participant IDs cycle through all list orders before the mode moves on
+     * (floor(ID / number of list orders) mod number of modes), so the two are not
+     * confounded when their counts are equal or one divides the other. Other IDs are hashed.
+     */
+    assignSpotlightModes(participantId) {
+        const { modes, assignment } = this.experimentConfig.spotlight;
+        const listOrderCount = Math.max(1, this.imageManager.getListOrders(
+            this.experimentConfig.counterbalancing.listAssignment, this.totalRounds).length);
+        const index = Math.floor(SeededRandom.normalizeSeed(participantId.trim()) / listOrderCount) % modes.length;
+        this.spotlightModes = Array.from({ length: this.totalRounds }, (_, round) =>
+            modes[(index + (assignment === 'round' ? round : 0)) % modes.length]);
+        this.dataManager.setSpotlightModes(this.spotlightModes, assignment);
+    }
+    
+    /**
+     * Spotlight rendering mode of a round (the tutorial and practice trials use Round 1's)
+     */
+    getSpotlightMode(roundNumber) {
+        return this.spotlightModes[roundNumber - 1] || this.experimentConfig.spotlight.modes[0];
+    }
+    
+    /**
+     * MouseView parameters of a spotlight rendering mode:
+     * - overlay: dark overlay with a soft aperture edge (mouseView.*)
+     * - gaussian: the same overlay with a wide Gaussian falloff at the aperture edge
+     *   (spotlight.gaussian.apertureGauss)
+     * - blur: blurred periphery (spotlight.blur.blurRadius) under a light tint
+     *   (spotlight.blur.overlayAlpha)
+     * - none: control condition, the whole display stays visible while the cursor is tracked
+     */
+    getSpotlightParams(mode) {
+        const { gaussian, blur } = this.experimentConfig.spotlight;
+        const params = {
+            apertureSize: this.settings.apertureSize,
+            overlayAlpha: this.settings.overlayAlpha,
+            overlayColour: this.settings.overlayColour,
+            apertureGauss: this.settings.apertureGauss,
+            overlayGaussian: 0
+        };
+        if (mode === 'gaussian') {
+            params.apertureGauss = gaussian.apertureGauss;
+        } else if (mode === 'blur') {
+            params.overlayGaussian = blur.blurRadius;
+            params.overlayAlpha = blur.overlayAlpha;
+        } else if (mode === 'none') {
+            params.overlayAlpha = 0;
+        }
+        return params;
+    }
+    
+    /**
+     * Generate this participant's schedule and download it (JSON + CSV) without
+     * starting the session. Starting afterwards re-seeds, so the same schedule runs.
+     */
+    async handleScheduleDownload() {
+        if (!this.applyParticipantForm()) {
+            return;
+        }
+        
+        try {
+            await this.prepareImagePools();
+            
+            this.scheduleManager.generateSchedule(this.totalRounds, () => this.generateTrialPattern(), new Set());
+            this.scheduleManager.exportScheduleJSON();
+            this.scheduleManager.exportScheduleCSV();
+        } catch (error) {
+            console.error('Error generating schedule:', error);
+            this.showError(`Failed to generate the trial schedule.\n\n${error.message}`);
+        }
     }
     
     async loadImages() {
@@ -232,15 +676,11 @@ class ExperimentController {
         this.updateLoadingMessage('Loading experiment configuration...');
         
         try {
-            // Load configuration
-            const configLoaded = await this.imageManager.loadConfig();
-            if (!configLoaded) {
-                throw new Error('Failed to load experiment configuration');
-            }
+            // Load image pools (without images seen in earlier sessions, per the configured policy)
+            await this.prepareImagePools();
             
-            // Settings are now hardcoded in constructor for 3-round system
-            // No config-based settings update needed with new-data.json structure
-            console.log('3-Round experiment settings:');
+            // Settings come from data/experiment-config.json (applied during init)
+            console.log('Experiment settings:');
             console.log('- Image viewing time:', this.settings.imageViewingTime, 'ms');
             console.log('- Rounds:', this.totalRounds);
             console.log('- Trials per round:', this.trialsPerRound);
@@ -257,18 +697,182 @@ class ExperimentController {
                 throw new Error('Failed to load all images');
             }
             
+            // Fix every trial of the session before Round 1 starts
+            this.updateLoadingMessage('Preparing trial schedule...');
+            await this.prepareSchedule();
+            
+            // The recognition test's foils come from images the schedule leaves unshown
+            if (this.experimentConfig.recognition.enabled) {
+                const categories = Object.keys(this.imageManager.getCategoryNeeds(this.trialCounts));
+                this.configManager.validateRecognitionFoils(this.experimentConfig,
+                    this.recognitionManager.getFoilShortfalls(this.usedImages, this.experimentConfig.recognition.foilsPerCategory, categories));
+            }
+            
             // Wait for loading screen to fully disappear before starting
             this.updateLoadingMessage('Ready!');
             await this.delay(500); // Give loading screen time to show "Ready!" 
             
+            // Screen calibration, so sizes in degrees are converted before anything is shown
+            if (this.experimentConfig.calibration.enabled) {
+                await this.runCalibration();
+            }
+            
+            // Questionnaires placed before Round 1
+            await this.runQuestionnaires('start');
+            
+            // Spotlight tutorial and practice trials (stopped early only by an emergency exit)
+            if (this.experimentConfig.tutorial.enabled && !(await this.runTutorial())) {
+                return;
+            }
+            if (this.settings.enablePractice && !(await this.runPractice())) {
+                return;
+            }
+            
             // Start 3-round experiment system
             console.log('Config loaded, starting 3-round experiment...');
             await this.startRound(1);
             
         } catch (error) {
             console.error('Error during loading:', error);
-            this.showError('Failed to load experiment data. Please check the image files and try again.');
+            this.showError(`Failed to load experiment data. Please check the image files and try again.\n\n${error.message}`);
+        }
+    }
+    
+    /**
+     * Shuffle fresh image pools and apply the prior-session image policy
+     * (sessions.priorImagePolicy) to them
+     */
+    async prepareImagePools() {
+        const configLoaded = await this.imageManager.loadConfig();
+        if (!configLoaded) {
+            throw new Error(`Failed to load ${this.imageManager.stimulusFile}`);
+        }
+        
+        const sessions = this.experimentConfig.sessions;
+        const priorImages = await this.loadPriorImages();
+        
+        const sessionTrialCounts = {};
+        Object.entries(this.trialCounts).forEach(([trialType, count]) => {
+            sessionTrialCounts[trialType] = count * this.totalRounds;
+        });
+        this.imageManager.applyPriorImagePolicy(
+            priorImages.keys(),
+            sessions.priorImagePolicy,
+            sessions.overlapProportion,
+            this.imageManager.getCategoryNeeds(sessionTrialCounts)
+        );
+        
+        this.dataManager.setPriorSessionInfo(sessions.priorImagePolicy, this.sessionRegistry.getPriorSessions(), priorImages.size);
+    }
+    
+    /**
+     * Collect the images this participant saw in earlier sessions: the local session
+     * registry (sessions.useRegistry) plus prior trial CSVs chosen in the participant form
+     */
+    async loadPriorImages() {
+        const { participant_id: participantId, session } = this.dataManager.participantData;
+        this.sessionRegistry.reset();
+        
+        if (this.experimentConfig.sessions.useRegistry) {
+            this.sessionRegistry.loadFromRegistry(participantId, session);
+        }
+        
+        const fileInput = document.getElementById('prior-session-files');
+        if (fileInput && fileInput.files) {
+            for (const file of fileInput.files) {
+                const rows = this.scheduleManager.parseCSV(await file.text());
+                this.sessionRegistry.addPriorTrialCSV(rows, file.name);
+            }
+        }
+        
+        return this.sessionRegistry.getPriorImages();
+    }
+    
+    /**
+     * Build the session schedule: import it from the participant form file or the
+     * ?schedule= URL parameter if one is given, otherwise generate it from the seed
+     */
+    async prepareSchedule() {
+        const scheduleInput = await this.readScheduleInput();
+        
+        let schedule;
+        if (scheduleInput) {
+            schedule = this.scheduleManager.importSchedule(scheduleInput.text, scheduleInput.name, this.totalRounds, this.usedImages);
+            
+            // Predetermined schedules are run as given; repeated images are still marked in the data
+            const repeated = schedule.trials.reduce((count, trial) =>
+                count + trial.images.filter(entry => this.imageManager.getImageNovelty(entry.image) === 'repeated').length, 0);
+            if (repeated > 0 && this.experimentConfig.sessions.priorImagePolicy === 'exclude') {
+                console.warn(`Imported schedule shows ${repeated} images from prior sessions (prior image policy 'exclude' is not applied to imported schedules)`);
+            }
+            
+            // The schedule's own list order replaces the counterbalanced assignment
+            if (schedule.list_order !== this.dataManager.participantData.list_order) {
+                this.dataManager.setListAssignment(schedule.list_order ? schedule.list_order.split(';') : [], null, schedule.list_order ? 'imported' : '');
+            }
+        } else {
+            schedule = this.scheduleManager.generateSchedule(this.totalRounds, () => this.generateTrialPattern(), this.usedImages);
+        }
+        
+        this.dataManager.setScheduleInfo(schedule.source, this.scheduleManager.scheduleFile);
+        return schedule;
+    }
+    
+    /**
+     * Read a predetermined schedule, if one was supplied. Returns { text, name } or null.
+     */
+    async readScheduleInput() {
+        const fileInput = document.getElementById('schedule-file');
+        if (fileInput && fileInput.files && fileInput.files.length > 0) {
+            const file = fileInput.files[0];
+            return { text: await file.text(), name: file.name };
+        }
+        
+        let schedulePath = null;
+        try {
+            schedulePath = new URLSearchParams(window.location.search).get('schedule');
+        } catch (error) {
+            console.warn('Could not read schedule URL parameter:', error);
+        }
+        
+        if (schedulePath && schedulePath.trim()) {
+            const response = await fetch(schedulePath.trim());
+            if (!response.ok) {
+                throw new Error(`Could not load schedule ${schedulePath} (HTTP ${response.status})`);
+            }
+            return { text: await response.text(), name: schedulePath.trim() };
         }
+        
+        return null;
+    }
+    
+    /**
+     * Seed the shared PRNG from the ?seed= URL parameter, or derive the seed from
+     * participant ID + session so the schedule can be regenerated offline
+     */
+    seedRandomization(participantId, session) {
+        let seedInput = null;
+        let seedSource = 'participant_session';
+        
+        try {
+            const urlSeed = new URLSearchParams(window.location.search).get('seed');
+            if (urlSeed && urlSeed.trim()) {
+                seedInput = urlSeed.trim();
+                seedSource = 'url';
+            }
+        } catch (error) {
+            console.warn('Could not read seed URL parameter:', error);
+        }
+        
+        if (seedInput === null) {
+            seedInput = `${participantId.trim()}_s${session.trim()}`;
+        }
+        
+        const seed = this.random.setSeed(seedInput);
+        this.dataManager.setRandomSeed(seed, seedSource);
+        
+        console.log(`Randomization seed ${seed} (source: ${seedSource}, input: "${seedInput}")`);
+        return seed;
     }
     
     updateLoadingMessage(message) {
@@ -417,6 +1021,20 @@ class ExperimentController {
     
     
     handleKeyPress(event) {
+        // Experimenter pause key: pause the running trial, or continue from the pause screen
+        if (event.key && event.key.toLowerCase() === this.settings.pauseKey.toLowerCase()) {
+            if (this.currentState === 'pause' && this.resumeFromPause) {
+                event.preventDefault();
+                this.resumeFromPause();
+                return;
+            }
+            if (this.trialInProgress && !this.pauseRequested) {
+                event.preventDefault();
+                this.requestPause();
+                return;
+            }
+        }
+        
         switch (event.code) {
             case 'Space':
                 if (this.currentState === 'welcome') {
@@ -445,6 +1063,7 @@ class ExperimentController {
     
     emergencyExit() {
         this.isExperimentRunning = false;
+        this.endStoredSession('exited');
         try {
             if (typeof mouseview !== 'undefined' && mouseview.removeAll) {
                 mouseview.removeAll();
@@ -457,10 +1076,14 @@ class ExperimentController {
         // Clean up any running timers
         this.hideTrialCountdown();
         
-        // Try to save partial data
+        // Try to save partial data (practice data are exported on their own)
         if (this.dataManager.getTrialData().length > 0) {
             this.dataManager.exportAllData();
         }
+        if (this.practiceDataManager.getTrialData().length > 0) {
+            this.practiceDataManager.exportTrialData();
+            this.practiceDataManager.exportMouseData();
+        }
         
         this.showScreen('end');
         console.log('Emergency exit - partial data saved');
@@ -506,6 +1129,23 @@ class ExperimentController {
         return new Promise(resolve => setTimeout(resolve, ms));
     }
     
+    /**
+     * Like delay(), but ends early when the experimenter pauses the trial
+     */
+    interruptibleDelay(ms) {
+        return new Promise(resolve => {
+            const timer = setTimeout(() => {
+                this.wakeFromDelay = null;
+                resolve();
+            }, ms);
+            this.wakeFromDelay = () => {
+                clearTimeout(timer);
+                this.wakeFromDelay = null;
+                resolve();
+            };
+        });
+    }
+    
     showTrialCountdown() {
         // Create countdown element for main trials
         let countdown = document.getElementById('trial-countdown');
@@ -589,7 +1229,7 @@ class ExperimentController {
         console.log('Settings updated:', this.settings);
     }
 
-    // Configure MouseView ONLY for image viewing trials
+    // Configure MouseView ONLY for image viewing trials, in the current round's spotlight mode
     async configureMouseView() {
         console.log('=== MAIN CONFIGURE MOUSEVIEW CALLED ===');
         try {
@@ -598,11 +1238,15 @@ class ExperimentController {
                 console.log('MouseView object before config:', mouseview);
                 console.log('Current params before config:', mouseview.params);
                 
-                console.log(`Setting aperture to ${this.settings.apertureSize}...`);
-                mouseview.params.apertureSize = this.settings.apertureSize; // Configurable spotlight size
-                mouseview.params.overlayAlpha = 0.85; // Consistent opacity for all trials
-                mouseview.params.overlayColour = 'black'; // Consistent color for all trials
-                mouseview.params.apertureGauss = 15; // Consistent edge smoothing for all trials
+                // Rendering mode of the current round (spotlight.modes); the tutorial and practice run before Round 1
+                const mode = this.getSpotlightMode(this.currentRound);
+                const params = this.getSpotlightParams(mode);
+                console.log(`Setting ${mode} spotlight, aperture ${params.apertureSize}...`);
+                mouseview.params.apertureSize = params.apertureSize; // Configurable spotlight size
+                mouseview.params.overlayAlpha = params.overlayAlpha; // Overlay opacity (0 in the no-overlay control)
+                mouseview.params.overlayColour = params.overlayColour; // Consistent color for all trials
+                mouseview.params.apertureGauss = params.apertureGauss; // Edge smoothing (wide in gaussian mode)
+                mouseview.params.overlayGaussian = params.overlayGaussian; // Periphery blur (blur mode only)
                 
                 console.log('Params after setting:', mouseview.params);
                 console.log('Calling mouseview.init()...');
@@ -734,18 +1378,19 @@ class ExperimentController {
 
     // ====== NEW 3-ROUND SYSTEM METHODS ======
 
-    async startRound(roundNumber) {
+    async startRound(roundNumber, firstTrialIndex = 0) {
         console.log(`=== Starting Round ${roundNumber} of ${this.totalRounds} ===`);
         
         this.currentRound = roundNumber;
         this.roundTrialCounter = 0;
         this.roundStartTime = performance.now();
         
-        // Initialize experiment data collection on first round
-        if (roundNumber === 1) {
+        // Initialize experiment data collection on first round (a resumed session has started already)
+        if (roundNumber === 1 && !this.experimentStarted) {
             this.experimentStarted = true;
             this.isExperimentRunning = true;
             this.dataManager.startExperiment();
+            await this.saveSessionStart();
         }
         
         // Show experiment screen
@@ -758,7 +1403,7 @@ class ExperimentController {
         await this.configureMouseView();
         
         console.log(`Round ${roundNumber} setup complete, starting trials...`);
-        await this.runRoundTrials();
+        await this.runRoundTrials(firstTrialIndex);
     }
 
     setupRoundUI() {
@@ -773,15 +1418,15 @@ class ExperimentController {
         this.logRoundProgress();
     }
 
-    async runRoundTrials() {
-        console.log(`Running ${this.trialsPerRound} trials for Round ${this.currentRound}...`);
-        
-        // Generate trial pattern for this round (12 image + 8 filler, randomized)
-        const trialPattern = this.generateTrialPattern();
-        console.log('Trial pattern for round:', trialPattern);
-        
-        // Run all trials in the round
-        for (let i = 0; i < this.trialsPerRound; i++) {
+    async runRoundTrials(firstTrialIndex = 0) {
+        // Trials, images and positions were fixed in the session schedule before Round 1
+        const roundTrials = this.scheduleManager.getRoundTrials(this.currentRound);
+        this.trialsPerRound = roundTrials.length;
+        this.roundTrialCounter = firstTrialIndex;
+        console.log(`Running ${this.trialsPerRound} trials for Round ${this.currentRound}${firstTrialIndex > 0 ? ` from trial ${firstTrialIndex + 1}` : ''}...`);
+        
+        // Run all trials in the round (a resumed round skips the trials already saved)
+        for (let i = firstTrialIndex; i < roundTrials.length; i++) {
             if (!this.isExperimentRunning) {
                 console.log('Experiment stopped, breaking trial loop');
                 break;
@@ -790,11 +1435,11 @@ class ExperimentController {
             this.roundTrialCounter++;
             this.globalTrialCounter++;
             
-            const trialType = trialPattern[i];
-            console.log(`Round ${this.currentRound}, Trial ${this.roundTrialCounter}: ${trialType}`);
+            const scheduledTrial = roundTrials[i];
+            console.log(`Round ${this.currentRound}, Trial ${this.roundTrialCounter}: ${scheduledTrial.trial_type}`);
             
             try {
-                await this.runSingleTrial(trialType);
+                await this.runSingleTrial(scheduledTrial);
             } catch (error) {
                 console.error(`Error in Round ${this.currentRound}, Trial ${this.roundTrialCounter}:`, error);
                 // Continue with next trial
@@ -804,81 +1449,470 @@ class ExperimentController {
             this.logRoundProgress();
             
             // Brief inter-trial interval
-            await this.delay(250);
+            await this.delay(this.settings.interTrialInterval);
         }
         
         console.log(`Round ${this.currentRound} trials completed`);
         await this.completeRound();
     }
 
-    async runSingleTrial(trialType) {
-        console.log(`=== Single Trial: ${trialType} (Round ${this.currentRound}, Trial ${this.roundTrialCounter}) ===`);
-        
-        // Show start/next button
-        if (this.globalTrialCounter === 1) {
-            await this.showMainStartButton();
-        } else {
-            await this.showNextTrialButton();
+    /**
+     * Add a trial's images to the participant's session registry entry
+     */
+    registerShownImages(imageData) {
+        if (!this.experimentConfig || !this.experimentConfig.sessions.useRegistry) {
+            return;
+        }
+        const { participant_id: participantId, session, config_name: configName } = this.dataManager.participantData;
+        const images = Object.keys(imageData.positions || {}).map(slot => imageData[slot]);
+        this.sessionRegistry.recordShownImages(participantId, session, images, configName);
+    }
+    
+    /**
+     * Show the central fixation cross for trial.fixationDuration plus a random
+     * 0 to trial.fixationJitter ms, recording its onset and offset on trialInfo
+     */
+    async showFixation(trialInfo) {
+        const { fixationDuration, fixationJitter } = this.settings;
+        if (fixationDuration <= 0 && fixationJitter <= 0) {
+            return;
         }
         
-        // Start trial data collection
-        const trialInfo = this.dataManager.startTrial(this.globalTrialCounter - 1, trialType);
-        trialInfo.roundNumber = this.currentRound;
-        trialInfo.roundTrialIndex = this.roundTrialCounter;
+        const duration = Math.round(fixationDuration + this.random.next() * fixationJitter);
+        const fixationCross = document.getElementById('fixation-cross');
         
-        // Log trial start event
+        fixationCross.classList.add('active');
+        trialInfo.fixationOnset = performance.now();
+        trialInfo.fixationDuration = duration;
         try {
             if (typeof mouseview !== 'undefined') {
-                mouseview.logEvent(`trial_start_R${this.currentRound}T${this.roundTrialCounter}_${trialType}`);
+                mouseview.logEvent(`fixation_onset_R${this.currentRound}T${this.roundTrialCounter}_${duration}ms`);
             }
         } catch (error) {
             console.log('Event logging not available:', error);
         }
         
-        // Get images for this trial using new selection system
-        let imageData;
-        try {
-            imageData = this.imageManager.selectImagesForTrial(trialType, this.usedImages);
-            console.log(`Selected images for ${trialType} trial:`, imageData);
-        } catch (error) {
-            console.error('Error selecting images:', error);
-            throw error; // Don't continue trial if image selection fails
-        }
+        await this.interruptibleDelay(duration);
         
-        // Configure MouseView and start tracking
+        fixationCross.classList.remove('active');
+        trialInfo.fixationOffset = performance.now();
         try {
-            this.configureMouseView();
             if (typeof mouseview !== 'undefined') {
-                mouseview.startTracking();
+                mouseview.logEvent(`fixation_offset_R${this.currentRound}T${this.roundTrialCounter}`);
             }
         } catch (error) {
-            console.error('Error starting mouse tracking:', error);
+            console.log('Event logging not available:', error);
         }
         
-        // Display images
-        const imageContainer = document.getElementById('image-container');
-        try {
-            this.imageManager.displayImages(imageData, imageContainer);
-            
-            // Log images displayed event with image categories
-            if (typeof mouseview !== 'undefined') {
-                const imageList = trialType === 'image' 
-                    ? `${imageData.dysphoric},${imageData.threat},${imageData.positive},${imageData.filler}`
-                    : `${imageData.filler1},${imageData.filler2},${imageData.filler3},${imageData.filler4}`;
-                mouseview.logEvent(`images_displayed_${imageList}`);
-            }
-        } catch (error) {
-            console.error('Error displaying images:', error);
+        console.log(`Fixation: ${duration}ms (planned), ${Math.round(trialInfo.fixationOffset - trialInfo.fixationOnset)}ms (actual)`);
+    }
+    
+    /**
+     * Cursor position (viewport px) and its distance from the screen centre,
+     * or null before the cursor has moved over the page
+     */
+    getCursorOffsetFromCenter() {
+        if (!this.cursorPosition) {
+            return null;
+        }
+        const { x, y } = this.cursorPosition;
+        return {
+            x: x,
+            y: y,
+            distance: Math.hypot(x - window.innerWidth / 2, y - window.innerHeight / 2)
+        };
+    }
+    
+    /**
+     * Drift check (trial.driftCheck): show the central target and wait until the
+     * cursor has stayed within trial.driftCheckRadius px of the screen centre for
+     * trial.driftCheckHoldTime ms. Records the waiting time on trialInfo.
+     */
+    async waitForCentralCursor(trialInfo) {
+        if (!this.settings.driftCheck) {
+            return;
         }
         
-        // Show countdown and wait for viewing time
-        if (this.settings.imageViewingTime > 0) {
-            if (this.settings.showTimer) {
-                this.showTrialCountdown();
-            }
-            await this.delay(this.settings.imageViewingTime);
-            this.hideTrialCountdown();
+        const { driftCheckRadius: radius, driftCheckHoldTime: holdTime } = this.settings;
+        const target = document.getElementById('drift-check-target');
+        target.style.width = `${radius * 2}px`;
+        target.style.height = `${radius * 2}px`;
+        target.classList.add('active');
+        
+        const startTime = performance.now();
+        await new Promise((resolve) => {
+            let insideSince = null;
+            const check = () => {
+                if (!this.isExperimentRunning || this.pauseRequested) {
+                    resolve();
+                    return;
+                }
+                
+                const cursor = this.getCursorOffsetFromCenter();
+                const now = performance.now();
+                if (cursor && cursor.distance <= radius) {
+                    insideSince = insideSince === null ? now : insideSince;
+                    target.classList.add('holding');
+                    if (now - insideSince >= holdTime) {
+                        resolve();
+                        return;
+                    }
+                } else {
+                    insideSince = null;
+                    target.classList.remove('holding');
+                }
+                requestAnimationFrame(check);
+            };
+            check();
+        });
+        
+        target.classList.remove('active', 'holding');
+        if (this.pauseRequested) {
+            return;
+        }
+        trialInfo.driftCheckDuration = performance.now() - startTime;
+        try {
+            if (typeof mouseview !== 'undefined') {
+                mouseview.logEvent(`drift_check_passed_R${this.currentRound}T${this.roundTrialCounter}`);
+            }
+        } catch (error) {
+            console.log('Event logging not available:', error);
+        }
+        
+        console.log(`Drift check passed after ${Math.round(trialInfo.driftCheckDuration)}ms`);
+    }
+    
+    /**
+     * Progress saved with the session record after every trial
+     */
+    getSessionProgress() {
+        return {
+            updated_at: new Date().toISOString(),
+            completed_trials: this.globalTrialCounter,
+            participant_data: { ...this.dataManager.participantData },
+            random_state: this.random.getState(),
+            elapsed_ms: performance.now() - this.dataManager.experimentStartTime,
+            questionnaire_rows: this.dataManager.questionnaireData
+        };
+    }
+    
+    /**
+     * Save the session to IndexedDB as Round 1 starts (sessions.saveProgress) so it
+     * can be resumed after a reload or crash
+     */
+    async saveSessionStart() {
+        if (!this.experimentConfig.sessions.saveProgress) {
+            return;
+        }
+        
+        const { participant_id: participantId, session } = this.dataManager.participantData;
+        const schedule = this.scheduleManager.getSchedule();
+        this.storedSession = {
+            key: this.sessionStore.getSessionKey(participantId, session),
+            status: 'in_progress',
+            config_file: this.configManager.configPath,
+            total_trials: schedule.trials.length,
+            schedule: schedule,
+            schedule_file: this.scheduleManager.scheduleFile,
+            prior_images: [...this.imageManager.priorImages],
+            ...this.getSessionProgress()
+        };
+        
+        try {
+            await this.sessionStore.startSession(this.storedSession);
+        } catch (error) {
+            console.warn('Could not save the session - it cannot be resumed after a crash:', error);
+            this.storedSession = null;
+        }
+    }
+    
+    /**
+     * Save the trial just recorded (its mouse rows and ratings) with the session progress
+     */
+    async saveCompletedTrial(mouseRows, ratingRows = []) {
+        if (!this.storedSession) {
+            return;
+        }
+        
+        Object.assign(this.storedSession, this.getSessionProgress());
+        const trialRecord = this.dataManager.trialData[this.dataManager.trialData.length - 1];
+        try {
+            await this.sessionStore.saveTrial(this.storedSession, trialRecord.trial_idx, trialRecord, mouseRows, ratingRows);
+        } catch (error) {
+            console.warn(`Could not save trial ${trialRecord.trial_idx} to the session store:`, error);
+        }
+    }
+    
+    /**
+     * Keep the record of a trial aborted by a pause with the stored session (it has
+     * no mouse rows and is merged back into the trial data on resume)
+     */
+    async saveInterruptedTrial() {
+        if (!this.storedSession) {
+            return;
+        }
+        
+        const trialRecord = this.dataManager.trialData[this.dataManager.trialData.length - 1];
+        this.storedSession.interrupted_trials = [...(this.storedSession.interrupted_trials || []), trialRecord];
+        await this.saveSessionProgress();
+    }
+    
+    /**
+     * Save the session record and pause log while a trial is paused (the paused
+     * trial is not completed, so a resume runs it again)
+     */
+    async saveSessionProgress() {
+        if (!this.storedSession) {
+            return;
+        }
+        
+        Object.assign(this.storedSession, this.getSessionProgress(), {
+            completed_trials: this.globalTrialCounter - 1,
+            pause_log: this.dataManager.pauseLog
+        });
+        try {
+            await this.sessionStore.saveSession(this.storedSession);
+        } catch (error) {
+            console.warn('Could not save the session progress:', error);
+        }
+    }
+    
+    /**
+     * Stop offering the stored session for resume ('complete' or 'exited')
+     */
+    async endStoredSession(status) {
+        if (!this.storedSession) {
+            return;
+        }
+        
+        const key = this.storedSession.key;
+        this.storedSession = null;
+        try {
+            await this.sessionStore.setStatus(key, status);
+        } catch (error) {
+            console.warn(`Could not mark session ${key} ${status}:`, error);
+        }
+    }
+    
+    /**
+     * Show the resume screen if the session store holds an unfinished session.
+     * Returns true when the screen is shown.
+     */
+    async offerResume() {
+        if (!this.experimentConfig.sessions.saveProgress) {
+            return false;
+        }
+        
+        let record = null;
+        try {
+            record = await this.sessionStore.findUnfinishedSession();
+        } catch (error) {
+            console.warn('Could not check for unfinished sessions:', error);
+        }
+        if (!record) {
+            return false;
+        }
+        
+        const participantData = record.participant_data;
+        const nextTrial = record.schedule.trials[record.completed_trials];
+        document.getElementById('resume-details').textContent =
+            `Participant ${participantData.participant_id}, session ${participantData.session}: ` +
+            `${record.completed_trials} of ${record.total_trials} trials completed, last saved ${new Date(record.updated_at).toLocaleString()}. ` +
+            `Resuming continues with Round ${nextTrial.round_number}, trial ${nextTrial.round_trial_idx}.`;
+        
+        document.getElementById('resume-session').onclick = () => this.resumeSession(record);
+        document.getElementById('discard-session').onclick = async () => {
+            try {
+                await this.sessionStore.setStatus(record.key, 'abandoned');
+            } catch (error) {
+                console.warn(`Could not discard session ${record.key}:`, error);
+            }
+            this.showScreen('welcome');
+        };
+        
+        this.showScreen('resume');
+        console.log(`Unfinished session found: ${record.key} (${record.completed_trials}/${record.total_trials} trials)`);
+        return true;
+    }
+    
+    /**
+     * Continue a stored session at its next trial with the same participant data,
+     * schedule, used images and PRNG state. The resume is recorded in the data.
+     */
+    async resumeSession(record) {
+        this.showScreen('loading');
+        this.updateLoadingMessage('Restoring saved session...');
+        
+        try {
+            const trials = await this.sessionStore.loadTrials(record.key);
+            
+            // Participant information and the data collected before the interruption
+            this.dataManager.participantData = { ...record.participant_data };
+            // Trials aborted by a pause go before the completed attempt of the same trial
+            this.dataManager.trialData = [...(record.interrupted_trials || []), ...trials.map(trial => trial.trial_record)]
+                .sort((a, b) => a.trial_idx - b.trial_idx || Number(a.trial_attempt) - Number(b.trial_attempt));
+            this.dataManager.pauseLog = [...(record.pause_log || [])];
+            this.dataManager.mouseTrackingData = trials.flatMap(trial => trial.mouse_rows);
+            this.dataManager.ratingsData = trials.flatMap(trial => trial.rating_rows || []);
+            this.dataManager.questionnaireData = [...(record.questionnaire_rows || [])];
+            this.dataManager.experimentStartTime = performance.now() - record.elapsed_ms;
+            this.spotlightModes = (record.participant_data.spotlight_modes || '').split(';').filter(Boolean);
+            
+            // Same calibration as before the interruption (calibrated again if it was not saved)
+            if (this.experimentConfig.calibration.enabled) {
+                if (this.calibrationManager.restore(this.dataManager.participantData)) {
+                    this.applyVisualAngleSizes();
+                } else {
+                    await this.runCalibration();
+                    this.showScreen('loading');
+                }
+            }
+            
+            // Same schedule and used-image set; prior-session images keep their novelty marks
+            const configLoaded = await this.imageManager.loadConfig();
+            if (!configLoaded) {
+                throw new Error(`Failed to load ${this.imageManager.stimulusFile}`);
+            }
+            // The restored schedule already holds the session's repeated images, so under
+            // 'exclude' and 'overlap' later draws (replacement trials) take only unseen images
+            const priorImagePolicy = record.participant_data.prior_image_policy || 'ignore';
+            this.imageManager.applyPriorImagePolicy(record.prior_images, priorImagePolicy === 'ignore' ? 'ignore' : 'exclude', 0, {});
+            // Restore the PRNG after the pool shuffle so later draws continue the saved sequence
+            this.random.setState(record.random_state);
+            this.usedImages = new Set();
+            this.scheduleManager.restoreSchedule(record.schedule, record.schedule_file, this.usedImages);
+            // Fresh images drawn for interrupted trials are used too
+            this.dataManager.pauseLog.forEach(pause => {
+                const categories = (pause.replacement_categories || '').split(';');
+                pause.replacement_images.split(';').filter(Boolean).forEach((image, index) => {
+                    this.imageManager.reserveImage(categories[index], image, this.usedImages);
+                });
+            });
+            
+            this.dataManager.recordResume(record.completed_trials);
+            this.storedSession = { ...record, ...this.getSessionProgress() };
+            await this.sessionStore.saveSession(this.storedSession);
+            
+            this.updateLoadingMessage('Loading images...');
+            await this.imageManager.preloadAllImages((loaded, total) => {
+                this.updateLoadingMessage(`Loading images... ${loaded}/${total}`);
+            });
+            
+            this.globalTrialCounter = record.completed_trials;
+            this.experimentStarted = true;
+            this.isExperimentRunning = true;
+            try {
+                if (typeof mouseview !== 'undefined') {
+                    mouseview.logEvent(`session_resumed_after_trial_${record.completed_trials}`);
+                }
+            } catch (error) {
+                console.log('Event logging not available:', error);
+            }
+            
+            const nextTrial = record.schedule.trials[record.completed_trials];
+            // A session interrupted between rounds still owes the questionnaires after the last round
+            if (nextTrial.round_trial_idx === 1 && nextTrial.round_number > 1) {
+                await this.runQuestionnaires(`after_round_${nextTrial.round_number - 1}`);
+            }
+            console.log(`Resuming ${record.key} at Round ${nextTrial.round_number}, trial ${nextTrial.round_trial_idx}`);
+            await this.startRound(nextTrial.round_number, nextTrial.round_trial_idx - 1);
+        } catch (error) {
+            console.error('Error resuming session:', error);
+            this.showError(`Failed to resume the saved session.\n\n${error.message}`);
+        }
+    }
+    
+    /**
+     * Run one scheduled trial. attempt counts runs of the same trial (a trial aborted
+     * by an experimenter pause runs again as attempt 2, and so on).
+     */
+    async runSingleTrial(scheduledTrial, attempt = 1) {
+        const trialType = scheduledTrial.trial_type;
+        console.log(`=== Single Trial: ${trialType} (Round ${this.currentRound}, Trial ${this.roundTrialCounter}${attempt > 1 ? `, attempt ${attempt}` : ''}) ===`);
+        
+        // Show start/next button
+        if (this.globalTrialCounter === 1) {
+            await this.showMainStartButton();
+        } else {
+            await this.showNextTrialButton();
+        }
+        
+        // Start trial data collection
+        const trialInfo = this.dataManager.startTrial(this.globalTrialCounter - 1, trialType);
+        trialInfo.roundNumber = this.currentRound;
+        trialInfo.roundTrialIndex = this.roundTrialCounter;
+        trialInfo.attempt = attempt;
+        trialInfo.spotlightMode = this.getSpotlightMode(this.currentRound);
+        this.trialInProgress = true;
+        this.pauseRequested = false;
+        
+        // Log trial start event
+        try {
+            if (typeof mouseview !== 'undefined') {
+                mouseview.logEvent(`trial_start_R${this.currentRound}T${this.roundTrialCounter}_${trialType}`);
+            }
+        } catch (error) {
+            console.log('Event logging not available:', error);
+        }
+        
+        // Images and positions come from the pre-generated (or imported) schedule
+        const imageData = this.scheduleManager.getImageData(scheduledTrial);
+        console.log(`Scheduled images for ${trialType} trial:`, imageData);
+        
+        // Central fixation cross so every trial starts from the same state
+        await this.showFixation(trialInfo);
+        if (this.pauseRequested) {
+            return this.interruptTrial(scheduledTrial, trialInfo, imageData, 'fixation');
+        }
+        
+        // Images appear only once the cursor rests at the screen centre
+        await this.waitForCentralCursor(trialInfo);
+        if (this.pauseRequested) {
+            return this.interruptTrial(scheduledTrial, trialInfo, imageData, 'drift_check');
+        }
+        
+        // Configure MouseView and start tracking
+        try {
+            this.configureMouseView();
+            if (typeof mouseview !== 'undefined') {
+                mouseview.startTracking();
+            }
+        } catch (error) {
+            console.error('Error starting mouse tracking:', error);
+        }
+        
+        const imageContainer = document.getElementById('image-container');
+        trialInfo.onsetCursor = this.getCursorOffsetFromCenter();
+        if (this.imageManager.isAttentionCheckTrialType(trialType)) {
+            // Attention check: find and click the target instead of free viewing
+            await this.runAttentionCheck(trialInfo, imageData);
+        } else {
+            // Display images
+            try {
+                this.imageManager.displayImages(imageData, imageContainer);
+            
+                // Log images displayed event with the trial's images in slot order
+                if (typeof mouseview !== 'undefined') {
+                    const imageList = Object.keys(imageData.positions).map(slot => imageData[slot]).join(',');
+                    mouseview.logEvent(`images_displayed_${imageList}`);
+                }
+            } catch (error) {
+                console.error('Error displaying images:', error);
+            }
+            
+            // Show countdown and wait for viewing time
+            if (this.settings.imageViewingTime > 0) {
+                if (this.settings.showTimer) {
+                    this.showTrialCountdown();
+                }
+                await this.interruptibleDelay(this.settings.imageViewingTime);
+                this.hideTrialCountdown();
+            }
+        }
+        if (this.pauseRequested) {
+            return this.interruptTrial(scheduledTrial, trialInfo, imageData, 'viewing');
         }
+        this.trialInProgress = false;
         
         // Log trial end event before stopping tracking
         try {
@@ -890,6 +1924,708 @@ class ExperimentController {
         }
         
         // Stop tracking and collect current session mouse data
+        const mouseData = this.stopMouseTracking();
+        
+        // Record trial data BEFORE hiding images (so image bounds are still available)
+        const mouseRowsBefore = this.dataManager.mouseTrackingData.length;
+        this.dataManager.recordTrialData(trialInfo, imageData, mouseData);
+        this.registerShownImages(imageData);
+        this.dataManager.recordMouseData(mouseData, this.globalTrialCounter - 1, trialType, this.currentRound, this.roundTrialCounter, trialInfo.startTime);
+        
+        // Hide images AFTER recording data
+        this.imageManager.hideImages(imageContainer);
+        
+        // Optional self-report ratings of the images just viewed (ratings.trialTypes)
+        const ratingsBefore = this.dataManager.ratingsData.length;
+        await this.runRatingPhase(trialInfo, imageData);
+        
+        await this.saveCompletedTrial(
+            this.dataManager.mouseTrackingData.slice(mouseRowsBefore),
+            this.dataManager.ratingsData.slice(ratingsBefore)
+        );
+        
+        console.log(`Trial ${this.roundTrialCounter} of Round ${this.currentRound} completed`);
+    }
+    
+    /**
+     * Screen calibration (calibration.enabled): the participant matches the on-screen
+     * card to a real bank card and enters their viewing distance. Sizes given in
+     * degrees are then converted to pixels and the calibration is recorded.
+     */
+    async runCalibration() {
+        const card = document.getElementById('calibration-card');
+        const slider = document.getElementById('calibration-card-width');
+        const distanceInput = document.getElementById('calibration-distance');
+        const errorBox = document.getElementById('calibration-error');
+        const continueBtn = document.getElementById('calibration-continue');
+        
+        const resizeCard = () => {
+            const width = Number(slider.value);
+            card.style.width = `${width}px`;
+            card.style.height = `${width * CREDIT_CARD_HEIGHT_CM / CREDIT_CARD_WIDTH_CM}px`;
+        };
+        slider.addEventListener('input', resizeCard);
+        resizeCard();
+        distanceInput.min = CALIBRATION_DISTANCE_RANGE.min;
+        distanceInput.max = CALIBRATION_DISTANCE_RANGE.max;
+        distanceInput.value = this.experimentConfig.calibration.viewingDistance;
+        errorBox.style.display = 'none';
+        this.showScreen('calibration');
+        
+        const cardWidth = await new Promise(resolve => {
+            const handleContinue = () => {
+                const distance = Number(distanceInput.value);
+                if (distanceInput.value === '' || !(distance >= CALIBRATION_DISTANCE_RANGE.min && distance <= CALIBRATION_DISTANCE_RANGE.max)) {
+                    errorBox.textContent = `Please enter your viewing distance in cm (${CALIBRATION_DISTANCE_RANGE.min}-${CALIBRATION_DISTANCE_RANGE.max}).`;
+                    errorBox.style.display = 'block';
+                    return;
+                }
+                continueBtn.removeEventListener('click', handleContinue);
+                slider.removeEventListener('input', resizeCard);
+                this.calibrationManager.setCalibration(Number(slider.value), distance);
+                resolve(Number(slider.value));
+            };
+            continueBtn.addEventListener('click', handleContinue);
+        });
+        
+        this.applyVisualAngleSizes();
+        this.dataManager.setCalibration({
+            ...this.calibrationManager.buildRecord(cardWidth),
+            aperture_size: String(this.settings.apertureSize),
+            image_width_px: this.imageManager.fixedImageWidth === null ? '' : String(this.imageManager.fixedImageWidth)
+        });
+    }
+    
+    /**
+     * Convert the aperture and image sizes given in degrees (mouseView.apertureSize,
+     * display.imageSize) to pixels with the current calibration
+     */
+    applyVisualAngleSizes() {
+        const config = this.experimentConfig;
+        this.updateSettings({ apertureSize: this.calibrationManager.resolveSize(config.mouseView.apertureSize) });
+        this.imageManager.setImageWidth(this.calibrationManager.resolveSize(config.display.imageSize));
+        console.log(`Visual-angle sizes: aperture ${config.mouseView.apertureSize} → ${this.settings.apertureSize}, image ${config.display.imageSize} → ${this.imageManager.fixedImageWidth}`);
+    }
+    
+    /**
+     * Spotlight tutorial before Round 1 (tutorial.enabled): after a screen explaining
+     * the spotlight as Round 1's mode renders it, the participant moves the spotlight
+     * onto a highlighted target in each corner in turn. The main task can only start
+     * once every target was reached. Returns false if the experiment was exited during
+     * the tutorial.
+     */
+    async runTutorial() {
+        this.updateTutorialText();
+        this.showScreen('tutorial-intro');
+        await this.waitForButtonClick('start-tutorial');
+        
+        console.log('=== Spotlight tutorial ===');
+        this.isExperimentRunning = true;
+        this.showScreen('experiment');
+        await this.configureMouseView();
+        
+        const instruction = document.getElementById('tutorial-instruction');
+        instruction.classList.add('active');
+        const startTime = performance.now();
+        const steps = [];
+        for (let index = 0; index < TUTORIAL_CORNERS.length; index++) {
+            const corner = TUTORIAL_CORNERS[index];
+            instruction.textContent = `Step ${index + 1} of ${TUTORIAL_CORNERS.length}: move the spotlight onto the circle in the ${corner.replace('-', ' ')} corner and keep it there`;
+            const time = await this.waitForTutorialTarget(corner);
+            if (time === null) {
+                instruction.classList.remove('active');
+                console.log('Experiment stopped during the tutorial');
+                return false;
+            }
+            steps.push({ corner: corner, time: time });
+            console.log(`Tutorial step ${index + 1} (${corner}) completed after ${Math.round(time)}ms`);
+        }
+        instruction.classList.remove('active');
+        
+        this.dataManager.setTutorial({
+            completedAt: new Date().toISOString(),
+            duration: performance.now() - startTime,
+            steps: steps
+        });
+        this.showScreen('tutorial-complete');
+        await this.waitForButtonClick('finish-tutorial');
+        return true;
+    }
+    
+    /**
+     * Describe the spotlight on the tutorial screens from the MouseView parameters of
+     * Round 1's spotlight mode: a dark or blurred layer (with a soft or gradually fading
+     * edge), or no layer at all for the 'none' control condition
+     */
+    updateTutorialText() {
+        const params = this.getSpotlightParams(this.getSpotlightMode(1));
+        let text;
+        if (params.overlayAlpha === 0) {
+            text = {
+                intro: 'During the experiment the images are <strong>fully visible</strong>. The area around your mouse cursor - the <strong>"spotlight"</strong> - marks where you are looking.',
+                hint: 'To look at something, move the spotlight onto it.',
+                reminder: 'Remember: move your mouse to whatever you want to look at.'
+            };
+        } else {
+            const blurred = params.overlayGaussian > 0;
+            const edge = params.apertureGauss > this.settings.apertureGauss ? 'Its edge fades out gradually.' : 'Its edge is softly blurred.';
+            text = {
+                intro: blurred
+                    ? `During the experiment the screen is covered by a <strong>blurred layer</strong> that makes the images hard to make out. You can only see clearly inside a small circle around your mouse cursor - the <strong>"spotlight"</strong>. ${edge}`
+                    : `During the experiment the screen is covered by a <strong>dark layer</strong> that hides the images. You can only see clearly inside a small circle around your mouse cursor - the <strong>"spotlight"</strong>. ${edge}`,
+                hint: `To look at something, move the spotlight onto it. Everything outside the spotlight stays ${blurred ? 'blurred' : 'dark'}, much like things outside the centre of your gaze are harder to see.`,
+                reminder: 'Remember: only the area inside the spotlight is clear, so move your mouse to whatever you want to look at.'
+            };
+        }
+        
+        document.getElementById('tutorial-spotlight-intro').innerHTML = text.intro;
+        document.getElementById('tutorial-spotlight-hint').textContent = text.hint;
+        document.getElementById('tutorial-spotlight-reminder').textContent = text.reminder;
+    }
+    
+    /**
+     * Show the tutorial target in a corner (above the MouseView overlay) and wait until
+     * the cursor has stayed within tutorial.targetRadius px of it for tutorial.holdTime
+     * ms. Resolves to the time from target onset in ms, or null if the experiment stops.
+     */
+    waitForTutorialTarget(corner) {
+        const { targetRadius: radius, holdTime } = this.experimentConfig.tutorial;
+        const [vertical, horizontal] = corner.split('-');
+        const x = window.innerWidth * (horizontal === 'left' ? TUTORIAL_CORNER_INSET : 1 - TUTORIAL_CORNER_INSET);
+        const y = window.innerHeight * (vertical === 'top' ? TUTORIAL_CORNER_INSET : 1 - TUTORIAL_CORNER_INSET);
+        
+        const target = document.getElementById('tutorial-target');
+        target.style.left = `${x}px`;
+        target.style.top = `${y}px`;
+        target.style.width = `${radius * 2}px`;
+        target.style.height = `${radius * 2}px`;
+        target.classList.add('active');
+        
+        const onset = performance.now();
+        return new Promise((resolve) => {
+            let insideSince = null;
+            const finish = (time) => {
+                target.classList.remove('active', 'holding');
+                resolve(time);
+            };
+            const check = () => {
+                if (!this.isExperimentRunning) {
+                    finish(null);
+                    return;
+                }
+                
+                const now = performance.now();
+                const cursor = this.cursorPosition;
+                if (cursor && Math.hypot(cursor.x - x, cursor.y - y) <= radius) {
+                    insideSince = insideSince === null ? now : insideSince;
+                    target.classList.add('holding');
+                    if (now - insideSince >= holdTime) {
+                        finish(now - onset);
+                        return;
+                    }
+                } else {
+                    insideSince = null;
+                    target.classList.remove('holding');
+                }
+                requestAnimationFrame(check);
+            };
+            check();
+        });
+    }
+    
+    /**
+     * Practice block before Round 1: instructions, practice.trials trials of
+     * practice.trialType from the practice pool, then a screen leading to the main
+     * task. Returns false if the experiment was exited during practice.
+     */
+    async runPractice() {
+        const { trials, trialType } = this.experimentConfig.practice;
+        const practiceTrials = this.practiceManager.selectPracticeTrials(trialType, trials)
+            .map((selected, index) => this.scheduleManager.createTrialEntry(index + 1, PRACTICE_ROUND_LABEL, index + 1, trialType, selected));
+        
+        this.showScreen('practice-instructions');
+        await this.waitForButtonClick('start-practice');
+        
+        console.log(`=== Practice: ${practiceTrials.length} ${trialType} trials ===`);
+        this.isExperimentRunning = true;
+        // A copy, so the practice start time does not overwrite the main task's (or the reverse)
+        this.practiceDataManager.participantData = { ...this.dataManager.participantData };
+        this.practiceDataManager.startExperiment();
+        this.showScreen('experiment');
+        await this.configureMouseView();
+        
+        for (let index = 0; index < practiceTrials.length; index++) {
+            if (!this.isExperimentRunning) {
+                console.log('Experiment stopped during practice');
+                return false;
+            }
+            await this.runPracticeTrial(practiceTrials[index], index);
+            await this.delay(this.settings.interTrialInterval);
+        }
+        if (!this.isExperimentRunning) {
+            return false;
+        }
+        
+        console.log(`Practice complete: ${this.practiceDataManager.trialData.length} trials recorded`);
+        this.showScreen('practice-complete');
+        await this.waitForButtonClick('finish-practice');
+        return true;
+    }
+    
+    /**
+     * Run one practice trial like a main trial (start button, fixation, drift check,
+     * viewing window) and record it in the practice data
+     */
+    async runPracticeTrial(practiceTrial, index) {
+        const trialType = practiceTrial.trial_type;
+        if (index === 0) {
+            await this.showMainStartButton();
+        } else {
+            await this.showNextTrialButton();
+        }
+        
+        const trialInfo = this.practiceDataManager.startTrial(index, trialType);
+        trialInfo.roundNumber = PRACTICE_ROUND_LABEL;
+        trialInfo.roundTrialIndex = index + 1;
+        trialInfo.spotlightMode = this.getSpotlightMode(1);
+        const imageData = this.scheduleManager.getImageData(practiceTrial);
+        
+        await this.showFixation(trialInfo);
+        await this.waitForCentralCursor(trialInfo);
+        if (!this.isExperimentRunning) {
+            return;
+        }
+        
+        try {
+            this.configureMouseView();
+            if (typeof mouseview !== 'undefined') {
+                mouseview.startTracking();
+            }
+        } catch (error) {
+            console.error('Error starting mouse tracking:', error);
+        }
+        
+        const imageContainer = document.getElementById('image-container');
+        trialInfo.onsetCursor = this.getCursorOffsetFromCenter();
+        this.imageManager.displayImages(imageData, imageContainer);
+        if (this.settings.imageViewingTime > 0) {
+            if (this.settings.showTimer) {
+                this.showTrialCountdown();
+            }
+            await this.delay(this.settings.imageViewingTime);
+            this.hideTrialCountdown();
+        }
+        
+        const mouseData = this.stopMouseTracking();
+        this.practiceDataManager.recordTrialData(trialInfo, imageData, mouseData);
+        this.practiceDataManager.recordMouseData(mouseData, index, trialType, PRACTICE_ROUND_LABEL, index + 1, trialInfo.startTime);
+        this.imageManager.hideImages(imageContainer);
+        
+        console.log(`Practice trial ${index + 1} completed`);
+    }
+    
+    /**
+     * Resolve on the next click of the button with the given id
+     */
+    waitForButtonClick(buttonId) {
+        const button = document.getElementById(buttonId);
+        return new Promise(resolve => {
+            const handleClick = () => {
+                button.removeEventListener('click', handleClick);
+                resolve();
+            };
+            button.addEventListener('click', handleClick);
+        });
+    }
+    
+    /**
+     * Rating phase after trials of the types in ratings.trialTypes: the participant
+     * rates the trial's images one at a time on each of ratings.dimensions. With
+     * ratings.images 'one' a single image is picked with the seeded PRNG; with 'all'
+     * every image is rated in a shuffled order.
+     */
+    async runRatingPhase(trialInfo, imageData) {
+        const ratings = this.experimentConfig.ratings;
+        const slots = Object.keys(imageData.positions || {});
+        if (!ratings.trialTypes.includes(trialInfo.trialType) || slots.length === 0) {
+            return;
+        }
+        
+        // The rating panel needs the whole screen, without the spotlight overlay
+        try {
+            if (typeof mouseview !== 'undefined' && mouseview.removeAll) {
+                mouseview.removeAll();
+            }
+        } catch (error) {
+            console.log('MouseView removeAll skipped during rating phase');
+        }
+        
+        const ratedSlots = ratings.images === 'one'
+            ? [slots[this.random.nextInt(slots.length)]]
+            : this.random.shuffle([...slots]);
+        console.log(`=== Rating phase: ${ratedSlots.length} image(s) ===`);
+        
+        const panel = document.getElementById('rating-panel');
+        panel.classList.add('active');
+        for (let index = 0; index < ratedSlots.length; index++) {
+            const slot = ratedSlots[index];
+            document.getElementById('rating-progress').textContent = ratedSlots.length > 1
+                ? `Image ${index + 1} of ${ratedSlots.length}`
+                : '';
+            const { responses, onset, duration } = await this.rateImage(imageData[slot], ratings.dimensions, ratings.scale);
+            this.dataManager.recordRating(trialInfo, imageData, slot, responses, {
+                order: index + 1,
+                scale: ratings.scale,
+                onset: onset,
+                duration: duration
+            });
+        }
+        panel.classList.remove('active');
+    }
+    
+    /**
+     * Show one image with a rating scale per dimension and resolve once every
+     * dimension is answered and Continue is clicked. Response times are from the
+     * image onset to the last change on each scale.
+     */
+    rateImage(image, dimensions, scale) {
+        const ratingImage = document.getElementById('rating-image');
+        const scalesContainer = document.getElementById('rating-scales');
+        const continueButton = document.getElementById('rating-continue');
+        
+        ratingImage.src = `images/${image}`;
+        scalesContainer.innerHTML = '';
+        continueButton.disabled = true;
+        
+        const responses = {};
+        const onset = performance.now();
+        const respond = (dimension, value) => {
+            responses[dimension] = { value: value, rt: performance.now() - onset };
+            continueButton.disabled = dimensions.some(name => !responses[name]);
+        };
+        
+        dimensions.forEach(dimension => {
+            const definition = RATING_DIMENSIONS[dimension];
+            const scaleElement = document.createElement('div');
+            scaleElement.className = 'rating-scale';
+            
+            const question = document.createElement('p');
+            question.className = 'rating-question';
+            question.textContent = definition.question;
+            scaleElement.appendChild(question);
+            
+            if (scale === 'slider') {
+                // The slider starts in the middle but only counts once it has been moved or clicked
+                const slider = document.createElement('input');
+                slider.type = 'range';
+                slider.className = 'rating-slider';
+                slider.min = 1;
+                slider.max = RATING_SCALE_POINTS;
+                slider.step = 1;
+                slider.value = Math.ceil(RATING_SCALE_POINTS / 2);
+                slider.addEventListener('input', () => respond(dimension, Number(slider.value)));
+                slider.addEventListener('click', () => respond(dimension, Number(slider.value)));
+                scaleElement.appendChild(slider);
+            } else {
+                const options = document.createElement('div');
+                options.className = 'rating-options';
+                for (let value = 1; value <= RATING_SCALE_POINTS; value++) {
+                    const option = document.createElement('button');
+                    option.type = 'button';
+                    option.className = 'rating-option';
+                    option.textContent = value;
+                    option.addEventListener('click', () => {
+                        options.querySelectorAll('.rating-option').forEach(element => element.classList.remove('selected'));
+                        option.classList.add('selected');
+                        respond(dimension, value);
+                    });
+                    options.appendChild(option);
+                }
+                scaleElement.appendChild(options);
+            }
+            
+            const anchors = document.createElement('div');
+            anchors.className = 'rating-anchors';
+            anchors.innerHTML = `<span>${definition.low}</span><span>${definition.high}</span>`;
+            scaleElement.appendChild(anchors);
+            
+            scalesContainer.appendChild(scaleElement);
+        });
+        
+        return new Promise(resolve => {
+            const handleContinue = () => {
+                continueButton.removeEventListener('click', handleContinue);
+                ratingImage.src = '';
+                resolve({ responses: responses, onset: onset, duration: performance.now() - onset });
+            };
+            continueButton.addEventListener('click', handleContinue);
+        });
+    }
+    
+    /**
+     * Administer the questionnaires configured for a placement ('start',
+     * 'after_round_<n>' or 'end') one after another. Questionnaires already recorded
+     * at that placement (before a resume) are skipped.
+     */
+    async runQuestionnaires(placement) {
+        const done = new Set(this.dataManager.questionnaireData
+            .filter(row => row.placement === placement)
+            .map(row => row.questionnaire_id));
+        const questionnaires = this.questionnaireManager.getQuestionnaires(placement)
+            .filter(definition => !done.has(definition.id));
+        if (questionnaires.length === 0) {
+            return;
+        }
+        
+        console.log(`=== Questionnaires (${placement}): ${questionnaires.map(definition => definition.id).join(', ')} ===`);
+        this.showScreen('questionnaire');
+        for (let index = 0; index < questionnaires.length; index++) {
+            const definition = questionnaires[index];
+            document.getElementById('questionnaire-progress').textContent = questionnaires.length > 1
+                ? `Questionnaire ${index + 1} of ${questionnaires.length}`
+                : '';
+            const { responses, startedAt, duration } = await this.presentQuestionnaire(definition);
+            this.dataManager.recordQuestionnaire(
+                this.questionnaireManager.buildRecord(definition, placement, responses, { startedAt, duration })
+            );
+            
+            // Keep the answers with the stored session (the session record exists from Round 1 on)
+            if (this.storedSession) {
+                Object.assign(this.storedSession, this.getSessionProgress());
+                try {
+                    await this.sessionStore.saveSession(this.storedSession);
+                } catch (error) {
+                    console.warn('Could not save the questionnaire to the session store:', error);
+                }
+            }
+        }
+    }
+    
+    /**
+     * Show every item of a questionnaire with its response options and resolve once
+     * the required items are answered and Continue is clicked. Response times are
+     * from the questionnaire onset to the last change on each item.
+     */
+    presentQuestionnaire(definition) {
+        const screen = document.getElementById('questionnaire-screen');
+        const itemsContainer = document.getElementById('questionnaire-items');
+        const continueButton = document.getElementById('questionnaire-continue');
+        
+        document.getElementById('questionnaire-title').textContent = definition.name;
+        document.getElementById('questionnaire-instructions').textContent = definition.instructions || '';
+        itemsContainer.innerHTML = '';
+        continueButton.disabled = true;
+        
+        const responses = {};
+        const startedAt = new Date().toISOString();
+        const onset = performance.now();
+        const requiredItems = definition.items.filter(item => this.questionnaireManager.isItemRequired(item));
+        const respond = (item, value) => {
+            responses[item.id] = { value: value, rt: performance.now() - onset };
+            continueButton.disabled = requiredItems.some(required => !responses[required.id]);
+        };
+        
+        definition.items.forEach((item, index) => {
+            const itemElement = document.createElement('div');
+            itemElement.className = 'questionnaire-item';
+            
+            const text = document.createElement('p');
+            text.className = 'rating-question';
+            text.textContent = `${index + 1}. ${item.text}`;
+            itemElement.appendChild(text);
+            
+            const options = document.createElement('div');
+            options.className = 'rating-options';
+            this.questionnaireManager.getItemOptions(definition, item).forEach(({ value, label }) => {
+                const option = document.createElement('button');
+                option.type = 'button';
+                option.className = 'rating-option';
+                option.textContent = label;
+                option.addEventListener('click', () => {
+                    options.querySelectorAll('.rating-option').forEach(element => element.classList.remove('selected'));
+                    option.classList.add('selected');
+                    respond(item, value);
+                });
+                options.appendChild(option);
+            });
+            itemElement.appendChild(options);
+            
+            itemsContainer.appendChild(itemElement);
+        });
+        screen.scrollTop = 0;
+        
+        return new Promise(resolve => {
+            const handleContinue = () => {
+                continueButton.removeEventListener('click', handleContinue);
+                resolve({ responses: responses, startedAt: startedAt, duration: performance.now() - onset });
+            };
+            continueButton.addEventListener('click', handleContinue);
+        });
+    }
+    
+    /**
+     * Surprise recognition test (recognition.enabled): images shown during the session
+     * and unseen foils of the same categories, one at a time in a shuffled order. Each
+     * is judged seen or new and, with recognition.confidence, rated for confidence.
+     */
+    async runRecognitionTest() {
+        const config = this.experimentConfig.recognition;
+        const items = this.recognitionManager.buildTestItems(this.usedImages, config.oldPerCategory, config.foilsPerCategory);
+        if (items.length === 0) {
+            console.warn('Recognition test skipped - no shown images to test');
+            return;
+        }
+        
+        const intro = document.getElementById('recognition-intro');
+        const test = document.getElementById('recognition-test');
+        const startButton = document.getElementById('start-recognition');
+        intro.style.display = 'block';
+        test.classList.remove('active');
+        this.showScreen('recognition');
+        await new Promise(resolve => {
+            const handleStart = () => {
+                startButton.removeEventListener('click', handleStart);
+                resolve();
+            };
+            startButton.addEventListener('click', handleStart);
+        });
+        
+        console.log(`=== Recognition test: ${items.length} images ===`);
+        intro.style.display = 'none';
+        test.classList.add('active');
+        for (let index = 0; index < items.length; index++) {
+            document.getElementById('recognition-progress').textContent = `Image ${index + 1} of ${items.length}`;
+            const { response, responseTime, confidence, confidenceTime } = await this.judgeRecognitionItem(items[index], config.confidence);
+            this.recognitionManager.recordResponse(items[index], response, responseTime, confidence, confidenceTime);
+        }
+        test.classList.remove('active');
+        console.log('Recognition test summary:', this.recognitionManager.getCategorySummary());
+    }
+    
+    /**
+     * Show one recognition test image and resolve with the seen/new judgment and,
+     * when asked for, the confidence rating. Times are from the image onset.
+     */
+    judgeRecognitionItem(item, askConfidence) {
+        const image = document.getElementById('recognition-image');
+        const judgment = document.getElementById('recognition-judgment');
+        const confidencePanel = document.getElementById('recognition-confidence');
+        const confidenceOptions = document.getElementById('recognition-confidence-options');
+        
+        image.src = `images/${item.image}`;
+        judgment.style.display = 'block';
+        confidencePanel.style.display = 'none';
+        const onset = performance.now();
+        
+        return new Promise(resolve => {
+            const result = { response: null, responseTime: null, confidence: null, confidenceTime: null };
+            const finish = () => {
+                image.src = '';
+                resolve(result);
+            };
+            
+            const judgmentButtons = judgment.querySelectorAll('[data-response]');
+            const handleJudgment = (event) => {
+                judgmentButtons.forEach(button => button.removeEventListener('click', handleJudgment));
+                result.response = event.currentTarget.dataset.response;
+                result.responseTime = performance.now() - onset;
+                if (!askConfidence) {
+                    finish();
+                    return;
+                }
+                
+                judgment.style.display = 'none';
+                confidenceOptions.innerHTML = '';
+                Object.entries(RECOGNITION_CONFIDENCE_LEVELS).forEach(([value, label]) => {
+                    const option = document.createElement('button');
+                    option.type = 'button';
+                    option.className = 'rating-option';
+                    option.textContent = label;
+                    option.addEventListener('click', () => {
+                        result.confidence = Number(value);
+                        result.confidenceTime = performance.now() - onset;
+                        finish();
+                    });
+                    confidenceOptions.appendChild(option);
+                });
+                confidencePanel.style.display = 'block';
+            };
+            judgmentButtons.forEach(button => button.addEventListener('click', handleJudgment));
+        });
+    }
+    
+    /**
+     * Attention-check trial: show the target symbol at the scheduled position (hidden
+     * under the MouseView overlay until the spotlight reaches it) and wait for a click
+     * or attentionCheck.responseWindow. The first click ends the check: a click on the
+     * target is a hit, anywhere else a miss. The result is stored on trialInfo.
+     */
+    runAttentionCheck(trialInfo, imageData) {
+        const { target: symbol, targetSize, instruction: text, responseWindow } = this.experimentConfig.attentionCheck;
+        const target = document.getElementById('attention-target');
+        const instruction = document.getElementById('attention-instruction');
+        
+        target.textContent = symbol;
+        target.style.width = `${targetSize}px`;
+        target.style.height = `${targetSize}px`;
+        target.style.fontSize = `${Math.round(targetSize * 0.8)}px`;
+        instruction.textContent = text;
+        if (text) {
+            instruction.classList.add('active');
+        }
+        this.imageManager.displayAttentionTarget(imageData.targetPosition, target);
+        const onset = performance.now();
+        try {
+            if (typeof mouseview !== 'undefined') {
+                mouseview.logEvent(`attention_target_displayed_${imageData.targetPosition}`);
+            }
+        } catch (error) {
+            console.log('Event logging not available:', error);
+        }
+        
+        return new Promise(resolve => {
+            const finish = (response, click = null) => {
+                clearTimeout(timer);
+                document.removeEventListener('mousedown', handleClick);
+                this.wakeFromDelay = null;
+                target.classList.remove('active');
+                instruction.classList.remove('active');
+                
+                // An experimenter pause ends the check without a response
+                if (response) {
+                    trialInfo.attentionCheck = {
+                        response: response,
+                        correct: response === 'hit',
+                        rt: click ? performance.now() - onset : null,
+                        click: click
+                    };
+                    console.log(`Attention check: ${response}${click ? ` after ${Math.round(trialInfo.attentionCheck.rt)}ms` : ''}`);
+                    try {
+                        if (typeof mouseview !== 'undefined') {
+                            mouseview.logEvent(`attention_response_${response}`);
+                        }
+                    } catch (error) {
+                        console.log('Event logging not available:', error);
+                    }
+                }
+                resolve();
+            };
+            const handleClick = (event) => {
+                const bounds = target.getBoundingClientRect();
+                const onTarget = event.clientX >= bounds.left && event.clientX <= bounds.right &&
+                    event.clientY >= bounds.top && event.clientY <= bounds.bottom;
+                finish(onTarget ? 'hit' : 'miss', { x: event.clientX, y: event.clientY });
+            };
+            const timer = setTimeout(() => finish('timeout'), responseWindow);
+            document.addEventListener('mousedown', handleClick);
+            this.wakeFromDelay = () => finish(null);
+        });
+    }
+    
+    /**
+     * Stop MouseView tracking and return the trial's samples (clearing them for the next trial)
+     */
+    stopMouseTracking() {
         let mouseData = [];
         try {
             if (typeof mouseview !== 'undefined') {
@@ -903,15 +2639,92 @@ class ExperimentController {
         } catch (error) {
             console.error('Error collecting mouse data:', error);
         }
+        return mouseData;
+    }
+    
+    /**
+     * Experimenter pause key pressed during a trial: end the current wait so the
+     * trial is aborted at its next phase boundary
+     */
+    requestPause() {
+        console.log(`Pause requested during Round ${this.currentRound}, Trial ${this.roundTrialCounter}`);
+        this.pauseRequested = true;
+        if (this.wakeFromDelay) {
+            this.wakeFromDelay();
+        }
+    }
+    
+    /**
+     * Abort the running trial for a pause: record it as interrupted (its mouse samples
+     * are discarded), show the pause screen until the experimenter continues, log the
+     * pause and run the trial again - with fresh images if pause.interruptedTrial is
+     * 'replace' and the pools can supply them.
+     */
+    async interruptTrial(scheduledTrial, trialInfo, imageData, phase) {
+        this.trialInProgress = false;
+        this.hideTrialCountdown();
+        document.getElementById('fixation-cross').classList.remove('active');
+        try {
+            if (typeof mouseview !== 'undefined') {
+                mouseview.logEvent(`trial_interrupted_R${this.currentRound}T${this.roundTrialCounter}_${phase}`);
+            }
+        } catch (error) {
+            console.log('Event logging not available:', error);
+        }
+        const mouseData = this.stopMouseTracking();
         
-        // Record trial data BEFORE hiding images (so image bounds are still available)
+        trialInfo.status = 'interrupted';
+        trialInfo.interruptedPhase = phase;
         this.dataManager.recordTrialData(trialInfo, imageData, mouseData);
-        this.dataManager.recordMouseData(mouseData, this.globalTrialCounter - 1, trialType, this.currentRound, this.roundTrialCounter, trialInfo.startTime);
+        if (phase === 'viewing') {
+            this.registerShownImages(imageData);
+        }
+        this.imageManager.hideImages(document.getElementById('image-container'));
+        await this.saveInterruptedTrial();
+        
+        // Pause screen until the experimenter continues (button or pause key)
+        const pauseStart = performance.now();
+        const pausedAt = new Date().toISOString();
+        this.showScreen('pause');
+        console.log(`=== Paused (Round ${this.currentRound}, Trial ${this.roundTrialCounter}, ${phase}) ===`);
+        await new Promise(resolve => {
+            this.resumeFromPause = resolve;
+        });
+        this.resumeFromPause = null;
+        const pauseDuration = performance.now() - pauseStart;
+        
+        // Run the trial again, with fresh images if configured and available
+        let nextTrial = scheduledTrial;
+        let action = 'rerun';
+        const slotCategories = this.scheduleManager.getSlotCategories(scheduledTrial.trial_type);
+        if (this.settings.interruptedTrial === 'replace') {
+            const replacement = this.scheduleManager.createReplacementTrial(scheduledTrial, this.usedImages);
+            if (replacement) {
+                nextTrial = replacement;
+                action = 'replace';
+            } else {
+                console.warn('No fresh images for the interrupted trial - running it again with the same images');
+            }
+        }
         
-        // Hide images AFTER recording data
-        this.imageManager.hideImages(imageContainer);
+        this.dataManager.recordPause({
+            trial_idx: scheduledTrial.trial_idx,
+            round_number: this.currentRound,
+            round_trial_idx: this.roundTrialCounter,
+            trial_attempt: trialInfo.attempt,
+            interrupted_phase: phase,
+            pause_start_time: pausedAt,
+            pause_start_relative_to_exptStart_ms: Math.round(pauseStart - this.dataManager.experimentStartTime),
+            pause_duration_ms: Math.round(pauseDuration),
+            interrupted_trial_action: action,
+            replacement_images: action === 'replace' ? nextTrial.images.map(entry => entry.image).join(';') : '',
+            // Category of each replacement image, so a resumed session can reserve them again
+            replacement_categories: action === 'replace' ? nextTrial.images.map(entry => slotCategories[entry.slot]).join(';') : ''
+        });
+        await this.saveSessionProgress();
         
-        console.log(`Trial ${this.roundTrialCounter} of Round ${this.currentRound} completed`);
+        this.showScreen('experiment');
+        return this.runSingleTrial(nextTrial, trialInfo.attempt + 1);
     }
 
     async completeRound() {
@@ -921,6 +2734,10 @@ class ExperimentController {
         console.log(`Round ${this.currentRound} took ${this.formatTime(roundElapsed)}`);
         
         if (this.currentRound < this.totalRounds) {
+            if (this.isExperimentRunning) {
+                await this.runQuestionnaires(`after_round_${this.currentRound}`);
+            }
+            
             // More rounds to go - show inter-round screen
             console.log(`Showing inter-round screen for Round ${this.currentRound} → ${this.currentRound + 1}`);
             this.showInterRoundScreen();
@@ -1028,7 +2845,7 @@ class ExperimentController {
         }
         
         const enteredPassword = input.value.trim();
-        const correctPassword = 'ctsfreeviewing';
+        const correctPassword = this.settings.roundPassword;
         
         if (enteredPassword === correctPassword) {
             console.log(`Password correct for Round ${roundNumber}`);
@@ -1063,9 +2880,10 @@ class ExperimentController {
     }
 
     async finishAllRounds() {
-        console.log('=== All 3 Rounds Complete ===');
+        console.log(`=== All ${this.totalRounds} Rounds Complete ===`);
         
         this.isExperimentRunning = false;
+        await this.endStoredSession('complete');
         
         // Clean up any running timers
         this.hideTrialCountdown();
@@ -1083,6 +2901,20 @@ class ExperimentController {
         const totalTime = this.globalTrialCounter > 0 ? 
             (performance.now() - this.dataManager.experimentStartTime) / 1000 : 0;
         
+        // Optional surprise recognition test before the end screen
+        if (this.experimentConfig.recognition.enabled) {
+            await this.runRecognitionTest();
+        }
+        
+        // Questionnaires placed after the last round
+        await this.runQuestionnaires('end');
+        
+        // The pause log can only be offered once it is known whether there were pauses
+        const downloadPauseLogBtn = document.getElementById('download-pause-log');
+        if (downloadPauseLogBtn) {
+            downloadPauseLogBtn.style.display = this.dataManager.pauseLog.length > 0 ? 'block' : 'none';
+        }
+        
         // Show end screen with manual download options
         this.showScreen('end');
         
@@ -1093,24 +2925,110 @@ class ExperimentController {
         console.log(`- Data summary:`, this.dataManager.getSummaryStats?.() || 'N/A');
     }
 
+    /**
+     * Generate a random order of the configured trial counts that satisfies the
+     * sequencing constraints (first trial type, maximum run length per type and
+     * maximum number of emotional trials in a row).
+     *
+     * Uses a randomized depth-first search that draws trial types in proportion to
+     * how many remain (a plain shuffle when unconstrained) and remembers dead-end
+     * states, so it always terminates and throws if no valid order exists.
+     */
     generateTrialPattern() {
-        // Create array with 12 'image' and 8 'filler' trials, then shuffle
+        const constraints = this.sequencing;
+        const remaining = { ...this.trialCounts };
+        const trialTypes = Object.keys(remaining);
+        const totalTrials = Object.values(remaining).reduce((sum, count) => sum + count, 0);
         const pattern = [];
-        for (let i = 0; i < this.imageTrialsPerRound; i++) {
-            pattern.push('image');
-        }
-        for (let i = 0; i < this.fillerTrialsPerRound; i++) {
-            pattern.push('filler');
+        const deadEnds = new Set();
+        
+        const search = (lastType, runLength, emotionalRun) => {
+            if (pattern.length === totalTrials) {
+                return true;
+            }
+            
+            const stateKey = `${trialTypes.map(type => remaining[type]).join(',')}|${lastType}|${runLength}|${emotionalRun}`;
+            if (deadEnds.has(stateKey)) {
+                return false;
+            }
+            
+            for (const trialType of this.orderCandidatesByRemaining(remaining)) {
+                const nextRun = trialType === lastType ? runLength + 1 : 1;
+                const nextEmotionalRun = constraints.emotionalTrialTypes.includes(trialType) ? emotionalRun + 1 : 0;
+                
+                if (!this.isAllowedNextTrial(trialType, pattern.length, nextRun, nextEmotionalRun)) {
+                    continue;
+                }
+                
+                pattern.push(trialType);
+                remaining[trialType]--;
+                if (search(trialType, nextRun, nextEmotionalRun)) {
+                    return true;
+                }
+                pattern.pop();
+                remaining[trialType]++;
+            }
+            
+            deadEnds.add(stateKey);
+            return false;
+        };
+        
+        if (!search(null, 0, 0)) {
+            const counts = trialTypes.map(type => `${this.trialCounts[type]} ${type}`).join(', ');
+            throw new Error(`No trial order with ${counts} trials satisfies the sequencing constraints ` +
+                `(firstTrialType: ${constraints.firstTrialType}, maxRunLength: ${JSON.stringify(constraints.maxRunLength)}, ` +
+                `maxConsecutiveEmotional: ${constraints.maxConsecutiveEmotional}). Relax the constraints in the experiment config.`);
         }
-        this.shuffleArray(pattern);
+        
         return pattern;
     }
+    
+    /**
+     * Check a candidate trial type against the sequencing constraints
+     */
+    isAllowedNextTrial(trialType, position, runLength, emotionalRun) {
+        const constraints = this.sequencing;
+        
+        if (position === 0 && constraints.firstTrialType && trialType !== constraints.firstTrialType) {
+            return false;
+        }
+        
+        const maxRun = constraints.maxRunLength[trialType];
+        if (maxRun && runLength > maxRun) {
+            return false;
+        }
+        
+        if (constraints.maxConsecutiveEmotional && emotionalRun > constraints.maxConsecutiveEmotional) {
+            return false;
+        }
+        
+        return true;
+    }
+    
+    /**
+     * Random order of the trial types still available, each drawn with probability
+     * proportional to its remaining count
+     */
+    orderCandidatesByRemaining(remaining) {
+        const pool = Object.keys(remaining).filter(type => remaining[type] > 0);
+        const ordered = [];
+        
+        while (pool.length > 0) {
+            const total = pool.reduce((sum, type) => sum + remaining[type], 0);
+            let draw = this.random.next() * total;
+            let index = 0;
+            while (draw >= remaining[pool[index]] && index < pool.length - 1) {
+                draw -= remaining[pool[index]];
+                index++;
+            }
+            ordered.push(pool.splice(index, 1)[0]);
+        }
+        
+        return ordered;
+    }
 
     shuffleArray(array) {
-        for (let i = array.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [array[i], array[j]] = [array[j], array[i]];
-        }
+        this.random.shuffle(array);
     }
 
     logRoundProgress() {
@@ -17,203 +17,1062 @@
  * - displayImages(): Now uses dynamic positioning instead of fixed CSS
  * - testDynamicPositioning(): Test system across different screen sizes
  * 
- * Uses new-data.json with 4 categories: dysphoric, threat, positive, filler
+ * Categories and the image composition of each trial type are declared in the
+ * stimulus file (data/new-data.json by default):
+ *   "categories": { "<category>": ["<category>/<file>.jpg", ...], ... }
+ *   "trialTypes": { "<trialType>": { "composition": { "<category>": <count>, ... } } }
+ * Each trial shows one image per slot. A category with count 1 fills the slot named
+ * after it; a category with count n > 1 fills slots <category>1 ... <category>n.
+ * Parallel-form designs can also split the images into stimulus lists, each used by
+ * exactly one round (the list-to-round order is counterbalanced across participants):
+ *   "lists": { "<list>": ["<category>/<file>.jpg", ...], ... }
+ *
+ * Per-image metadata (normative valence/arousal, source database, social flag,
+ * luminance, size) comes from the stimulus manifest (data/stimulus-manifest.json):
+ *   "fields": { "<field>": { "type": "number" | "string" | "boolean", "description": "..." } }
+ *   "images": { "<category>/<file>.jpg": { "<field>": <value or null>, ... } }
+ *
+ * The built-in trial type attention_check shows no images: a target symbol is placed
+ * at one layout position (targetPosition) and must be found and clicked.
+ *
+ * The display layout (config display.layout) sets the named positions images can
+ * occupy. 'quadrants' keeps the original four-quadrant placement; the other layouts
+ * put every image centre on one ring around the screen centre (equal eccentricity).
  */
 
+// Stimulus-file keys that cannot be category names (they are fields of imageData)
+const RESERVED_SLOT_NAMES = ['positions', 'positionAssignment', 'positionPlanBlock', 'positionPlanRow', 'subcategories', 'metadata', 'novelty', 'stimulusList'];
+
+// Built-in trial type without images (see runAttentionCheck in experiment.js)
+const ATTENTION_CHECK_TRIAL_TYPE = 'attention_check';
+
+// How images seen in a participant's earlier sessions are treated
+const PRIOR_IMAGE_POLICIES = ['ignore', 'exclude', 'overlap'];
+
+// Value types a stimulus manifest field can declare
+const MANIFEST_FIELD_TYPES = ['number', 'string', 'boolean'];
+
+// Trial compositions for stimulus files without a trialTypes block
+// (older files that list the four category arrays at the top level)
+const DEFAULT_TRIAL_TYPES = {
+    image: { composition: { dysphoric: 1, threat: 1, positive: 1, filler: 1 } },
+    filler: { composition: { filler: 4 } }
+};
+
+// Position names of each display layout and their direction on the ring, in degrees
+// clockwise from 12 o'clock (quadrants are placed by calculateSafePositions instead)
+const DISPLAY_LAYOUTS = {
+    quadrants: {
+        description: 'Four images will then appear in the four quadrants of the screen.',
+        positions: { 'top-left': 315, 'top-right': 45, 'bottom-left': 225, 'bottom-right': 135 }
+    },
+    pair: {
+        description: 'Two images will then appear, one to the left and one to the right of the centre of the screen.',
+        positions: { 'left': 270, 'right': 90 }
+    },
+    hexagon: {
+        description: 'Six images will then appear in a ring around the centre of the screen.',
+        positions: { 'top-right': 30, 'right': 90, 'bottom-right': 150, 'bottom-left': 210, 'left': 270, 'top-left': 330 }
+    },
+    octagon: {
+        description: 'Eight images will then appear in a ring around the centre of the screen.',
+        positions: {
+            'top': 0, 'top-right': 45, 'right': 90, 'bottom-right': 135,
+            'bottom': 180, 'bottom-left': 225, 'left': 270, 'top-left': 315
+        }
+    }
+};
+
+// Smallest image width ring layouts shrink to before giving up on removing overlap
+const MIN_RING_IMAGE_WIDTH = 80;
+
 class ImageManager {
-    constructor() {
+    constructor(random = null) {
+        this.stimulusFile = 'data/new-data.json';
         this.imageCategories = null;
-        this.availableImages = {
-            dysphoric: [],
-            threat: [],
-            positive: [],
-            filler: []
-        };
+        this.trialTypes = {};
+        this.random = random || new SeededRandom(); // Shared seeded PRNG (see seeded-random.js)
+        this.availableImages = {};
+        // Subcategory rules from new-data.json and the dimensions balanced across rounds
+        this.subcategoryRules = {};
+        this.imageSubcategories = new Map();
+        this.balanceSubcategories = [];
+        this.roundPools = null;         // Per-round balanced selection pools (null = draw from availableImages)
+        // Stimulus manifest: field definitions, image path → metadata, and within-trial matching tolerances
+        this.manifestFile = null;
+        this.metadataFields = {};
+        this.stimulusManifest = {};
+        this.withinTrialMatching = {};
+        this.priorImages = new Set();   // Images the participant saw in earlier sessions (see session-registry.js)
+        this.overlapProportion = null;  // Share of each round's images repeated from prior sessions ('overlap' policy only)
+        // Parallel stimulus lists (list name → Set of images) and the list shown in each round
+        this.stimulusLists = {};
+        this.listOrder = [];
+        this.practiceImages = {};       // Practice pool: category → images never shown in the main rounds
         this.preloadedImages = new Map();
         this.loadingProgress = 0;
         this.totalImages = 0;
         
-        // Position mappings (same as before)
-        this.positions = {
-            'top-left': { x: -0.3, y: 0.2 },
-            'top-right': { x: 0.3, y: 0.2 },
-            'bottom-left': { x: -0.3, y: -0.2 },
-            'bottom-right': { x: 0.3, y: -0.2 }
-        };
+        this.categories = [];           // Category names in stimulus-file order
         
-        this.categories = ['dysphoric', 'threat', 'positive', 'filler'];
-        this.positionNames = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+        // Display layout (see DISPLAY_LAYOUTS); eccentricity is the ring radius as a
+        // fraction of the shorter viewport side
+        this.displayLayout = { name: 'quadrants', eccentricity: 0.35 };
+        this.positionNames = Object.keys(DISPLAY_LAYOUTS.quadrants.positions);
+        // Fixed image width in px (display.imageSize after calibration), or null to size
+        // images from the viewport
+        this.fixedImageWidth = null;
+        
+        // Quadrant counterbalancing for mixed-category trial types ('random' or 'latin-square')
+        this.positionAssignment = 'random';
+        this.positionPlans = {};        // trialType → { entries, index } for the current round
         
         console.log('ImageManager initialized for 3-round system with new-data.json structure');
         console.log('🔍 ImageManager constructor: initializeDynamicPositioning method exists?', typeof this.initializeDynamicPositioning);
     }
     
+    /**
+     * Load and validate the stimulus file: category image lists, trial compositions
+     * and subcategory rules. Throws an Error listing every problem found.
+     */
+    async loadStimulusDefinition(path = null) {
+        this.stimulusFile = path || this.stimulusFile;
+        console.log(`Loading stimulus definition from ${this.stimulusFile}...`);
+        
+        const response = await fetch(this.stimulusFile);
+        if (!response.ok) {
+            throw new Error(`Could not load ${this.stimulusFile} (HTTP ${response.status})`);
+        }
+        
+        let stimulusData;
+        try {
+            stimulusData = await response.json();
+        } catch (error) {
+            throw new Error(`${this.stimulusFile} is not valid JSON: ${error.message}`);
+        }
+        
+        // Older files list category arrays at the top level
+        const categoryLists = stimulusData.categories ||
+            Object.fromEntries(Object.entries(stimulusData).filter(([, value]) => Array.isArray(value)));
+        const trialTypes = stimulusData.trialTypes || DEFAULT_TRIAL_TYPES;
+        
+        const lists = stimulusData.lists || {};
+        const practice = stimulusData.practice || {};
+        
+        const errors = this.validateStimulusDefinition(categoryLists, trialTypes);
+        if (errors.length === 0) {
+            errors.push(...this.validateStimulusLists(lists, categoryLists));
+            errors.push(...this.validatePracticePool(practice, categoryLists));
+        }
+        if (errors.length > 0) {
+            throw new Error(`Invalid stimulus file (${this.stimulusFile}):\n- ${errors.join('\n- ')}`);
+        }
+        
+        this.imageCategories = {};
+        Object.entries(categoryLists).forEach(([category, images]) => {
+            this.imageCategories[category] = [...images];
+        });
+        this.categories = Object.keys(this.imageCategories);
+        this.trialTypes = trialTypes;
+        this.loadSubcategoryRules(stimulusData.subcategories || {});
+        this.stimulusLists = {};
+        Object.entries(lists).forEach(([list, images]) => {
+            this.stimulusLists[list] = new Set(images);
+        });
+        this.listOrder = [];
+        this.practiceImages = {};
+        Object.entries(practice).forEach(([category, images]) => {
+            this.practiceImages[category] = [...images];
+        });
+        
+        console.log(`Stimulus categories: ${this.categories.join(', ')}`);
+        console.log('Trial types:', this.trialTypes);
+        if (this.getListNames().length > 0) {
+            console.log(`Stimulus lists: ${this.getListNames().map(list => `${list} (${this.stimulusLists[list].size})`).join(', ')}`);
+        }
+        return true;
+    }
+    
+    /**
+     * Check category lists and trial compositions; returns a list of human-readable errors
+     */
+    validateStimulusDefinition(categoryLists, trialTypes) {
+        const errors = [];
+        const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        
+        if (!isPlainObject(categoryLists) || Object.keys(categoryLists).length === 0) {
+            return ['categories must map each category name to a list of image paths'];
+        }
+        Object.entries(categoryLists).forEach(([category, images]) => {
+            if (!/^[A-Za-z][A-Za-z0-9-]*$/.test(category) || RESERVED_SLOT_NAMES.includes(category)) {
+                errors.push(`"${category}" is not a valid category name (letters, digits and "-", not one of: ${RESERVED_SLOT_NAMES.join(', ')})`);
+            }
+            if (!Array.isArray(images) || images.some(image => typeof image !== 'string' || !image)) {
+                errors.push(`categories.${category} must be a list of image paths`);
+            }
+        });
+        
+        if (!isPlainObject(trialTypes) || Object.keys(trialTypes).length === 0) {
+            errors.push('trialTypes must define at least one trial type');
+            return errors;
+        }
+        Object.entries(trialTypes).forEach(([trialType, definition]) => {
+            if (trialType === ATTENTION_CHECK_TRIAL_TYPE) {
+                errors.push(`trialTypes.${trialType} is a built-in trial type and cannot be redefined`);
+                return;
+            }
+            const composition = definition && definition.composition;
+            if (!isPlainObject(composition) || Object.keys(composition).length === 0) {
+                errors.push(`trialTypes.${trialType}.composition must map categories to image counts`);
+                return;
+            }
+            let imageCount = 0;
+            Object.entries(composition).forEach(([category, count]) => {
+                if (!Object.prototype.hasOwnProperty.call(categoryLists, category)) {
+                    errors.push(`trialTypes.${trialType}.composition.${category} is not a category in this file`);
+                }
+                if (!Number.isInteger(count) || count < 1) {
+                    errors.push(`trialTypes.${trialType}.composition.${category} must be a positive integer (got ${count})`);
+                } else {
+                    imageCount += count;
+                }
+            });
+            if (imageCount > this.positionNames.length) {
+                errors.push(`trialTypes.${trialType} shows ${imageCount} images but the display has ${this.positionNames.length} positions`);
+            }
+        });
+        
+        return errors;
+    }
+    
+    /**
+     * Check the optional parallel stimulus lists: every listed image must be in a
+     * category and no image may appear in two lists
+     */
+    validateStimulusLists(lists, categoryLists) {
+        if (lists === null || typeof lists !== 'object' || Array.isArray(lists)) {
+            return ['lists must map each list name to a list of image paths'];
+        }
+        
+        const errors = [];
+        const categoryImages = new Set(Object.values(categoryLists).flat());
+        const listOfImage = new Map();
+        Object.entries(lists).forEach(([list, images]) => {
+            if (!/^[A-Za-z0-9]+$/.test(list)) {
+                errors.push(`"${list}" is not a valid list name (letters and digits only)`);
+            }
+            if (!Array.isArray(images) || images.length === 0 || images.some(image => typeof image !== 'string' || !image)) {
+                errors.push(`lists.${list} must be a non-empty list of image paths`);
+                return;
+            }
+            images.forEach(image => {
+                if (!categoryImages.has(image)) {
+                    errors.push(`lists.${list}: ${image} is not in any category`);
+                } else if (listOfImage.has(image)) {
+                    errors.push(`lists.${list}: ${image} is already in list ${listOfImage.get(image)}`);
+                } else {
+                    listOfImage.set(image, list);
+                }
+            });
+        });
+        
+        return errors;
+    }
+    
+    /**
+     * Check the optional practice pool: images per category that only practice trials
+     * show, so none of them may also be in a main category
+     */
+    validatePracticePool(practice, categoryLists) {
+        if (practice === null || typeof practice !== 'object' || Array.isArray(practice)) {
+            return ['practice must map categories to lists of practice image paths'];
+        }
+        
+        const errors = [];
+        const categoryImages = new Set(Object.values(categoryLists).flat());
+        const seen = new Set();
+        Object.entries(practice).forEach(([category, images]) => {
+            if (!Object.prototype.hasOwnProperty.call(categoryLists, category)) {
+                errors.push(`practice.${category} is not a category in this file`);
+            }
+            if (!Array.isArray(images) || images.some(image => typeof image !== 'string' || !image)) {
+                errors.push(`practice.${category} must be a list of image paths`);
+                return;
+            }
+            images.forEach(image => {
+                if (categoryImages.has(image)) {
+                    errors.push(`practice.${category}: ${image} is also a main-round image`);
+                } else if (seen.has(image)) {
+                    errors.push(`practice.${category}: ${image} is listed twice`);
+                }
+                seen.add(image);
+            });
+        });
+        
+        return errors;
+    }
+    
+    /**
+     * Number of practice images per category
+     */
+    getPracticePoolSizes() {
+        return Object.fromEntries(this.categories.map(category => [category, (this.practiceImages[category] || []).length]));
+    }
+    
+    /**
+     * (Re)build the shuffled image pools for a session from the loaded stimulus file
+     */
     async loadConfig() {
         try {
-            console.log('Loading new-data.json...');
-            const response = await fetch('data/new-data.json');
-            this.imageCategories = await response.json();
+            if (!this.imageCategories) {
+                await this.loadStimulusDefinition();
+            }
             
             // Initialize available image pools (deep copy to preserve originals)
-            this.availableImages = {
-                dysphoric: [...this.imageCategories.dysphoric],
-                threat: [...this.imageCategories.threat],
-                positive: [...this.imageCategories.positive],
-                filler: [...this.imageCategories.filler]
-            };
+            this.availableImages = {};
+            this.categories.forEach(category => {
+                this.availableImages[category] = [...this.imageCategories[category]];
+            });
+            this.roundPools = null;
+            this.overlapProportion = null;
             
             // Shuffle all pools for randomization
             Object.values(this.availableImages).forEach(pool => this.shuffleArray(pool));
             
-            console.log('New image categories loaded successfully:');
-            console.log(`- Dysphoric: ${this.availableImages.dysphoric.length} images`);
-            console.log(`- Threat: ${this.availableImages.threat.length} images`);
-            console.log(`- Positive: ${this.availableImages.positive.length} images`);
-            console.log(`- Filler: ${this.availableImages.filler.length} images`);
+            console.log('Image categories loaded successfully:');
+            this.categories.forEach(category => {
+                console.log(`- ${category}: ${this.availableImages[category].length} images`);
+            });
             console.log(`- Total: ${Object.values(this.availableImages).reduce((sum, pool) => sum + pool.length, 0)} images`);
             
             return true;
         } catch (error) {
-            console.error('Failed to load new-data.json:', error);
+            console.error(`Failed to load ${this.stimulusFile}:`, error);
             return false;
         }
     }
     
     /**
-     * Select images for an image trial: 1 dysphoric + 1 threat + 1 positive + 1 filler
-     * Returns object with selected images and their random position assignments
+     * Trial types of the stimulus file plus the built-in attention_check
+     */
+    getTrialTypes() {
+        return [...Object.keys(this.trialTypes), ATTENTION_CHECK_TRIAL_TYPE];
+    }
+    
+    /**
+     * Compile the filename rules that assign subcategories (e.g. social/nonsocial,
+     * stimulus set source) and label every image. The first matching rule wins;
+     * images matching no rule get the dimension's default value.
      */
-    selectImagesForImageTrial(usedImages) {
-        console.log('=== Selecting Images for IMAGE Trial ===');
+    loadSubcategoryRules(definitions) {
+        this.subcategoryRules = {};
+        Object.entries(definitions).forEach(([dimension, definition]) => {
+            this.subcategoryRules[dimension] = {
+                defaultValue: definition.default || 'unknown',
+                rules: (definition.rules || []).map(rule => ({
+                    pattern: new RegExp(rule.pattern),
+                    value: rule.value
+                }))
+            };
+        });
         
-        const selected = {
-            dysphoric: '',
-            threat: '',
-            positive: '',
-            filler: '',
-            positions: {
-                dysphoric: '',
-                threat: '',
-                positive: '',
-                filler: ''
+        this.imageSubcategories = new Map();
+        Object.values(this.imageCategories).forEach(images => {
+            images.forEach(image => {
+                this.imageSubcategories.set(image, this.classifyImage(image));
+            });
+        });
+        
+        console.log(`Subcategory dimensions: ${this.getSubcategoryDimensions().join(', ') || 'none'}`);
+    }
+    
+    /**
+     * Apply the subcategory rules to one image path (matched against the file name)
+     */
+    classifyImage(image) {
+        const fileName = image.split('/').pop();
+        const subcategories = {};
+        Object.entries(this.subcategoryRules).forEach(([dimension, { defaultValue, rules }]) => {
+            const match = rules.find(rule => rule.pattern.test(fileName));
+            subcategories[dimension] = match ? match.value : defaultValue;
+        });
+        return subcategories;
+    }
+    
+    getSubcategoryDimensions() {
+        return Object.keys(this.subcategoryRules);
+    }
+    
+    getSubcategories(image) {
+        return this.imageSubcategories.get(image) || this.classifyImage(image);
+    }
+    
+    /**
+     * Set which subcategory dimensions selection keeps balanced across rounds
+     * (validated against new-data.json when the first round is prepared)
+     */
+    setSubcategoryBalancing(dimensions) {
+        this.balanceSubcategories = [...dimensions];
+        console.log(`Subcategory balancing: ${this.balanceSubcategories.join(', ') || 'off'}`);
+    }
+    
+    /**
+     * Load the stimulus manifest (per-image metadata written with every displayed
+     * image). Throws an Error listing every problem found.
+     */
+    async loadStimulusManifest(path) {
+        console.log(`Loading stimulus manifest from ${path}...`);
+        
+        const response = await fetch(path);
+        if (!response.ok) {
+            throw new Error(`Could not load ${path} (HTTP ${response.status})`);
+        }
+        
+        let manifest;
+        try {
+            manifest = await response.json();
+        } catch (error) {
+            throw new Error(`${path} is not valid JSON: ${error.message}`);
+        }
+        
+        const errors = this.validateStimulusManifest(manifest);
+        if (errors.length > 0) {
+            throw new Error(`Invalid stimulus manifest (${path}):\n- ${errors.join('\n- ')}`);
+        }
+        
+        this.manifestFile = path;
+        this.metadataFields = manifest.fields;
+        this.stimulusManifest = manifest.images;
+        
+        // Images without an entry are still shown; their metadata columns stay empty
+        const missing = Object.values(this.imageCategories || {}).flat().filter(image => !this.stimulusManifest[image]);
+        if (missing.length > 0) {
+            console.warn(`${missing.length} images in ${this.stimulusFile} have no entry in ${path}:`, missing);
+        }
+        
+        console.log(`Stimulus manifest fields: ${this.getMetadataFields().join(', ')} (${Object.keys(this.stimulusManifest).length} images)`);
+        return true;
+    }
+    
+    /**
+     * Check manifest field definitions and image entries; returns a list of human-readable errors
+     */
+    validateStimulusManifest(manifest) {
+        const errors = [];
+        const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        
+        if (!isPlainObject(manifest) || !isPlainObject(manifest.fields) || !isPlainObject(manifest.images)) {
+            return ['the manifest must have a "fields" object and an "images" object'];
+        }
+        
+        Object.entries(manifest.fields).forEach(([field, definition]) => {
+            if (!/^[A-Za-z][A-Za-z0-9_]*$/.test(field)) {
+                errors.push(`"${field}" is not a valid field name (letters, digits and "_")`);
             }
+            if (!isPlainObject(definition) || !MANIFEST_FIELD_TYPES.includes(definition.type)) {
+                errors.push(`fields.${field}.type must be one of: ${MANIFEST_FIELD_TYPES.join(', ')}`);
+            }
+        });
+        
+        Object.entries(manifest.images).forEach(([image, metadata]) => {
+            if (!isPlainObject(metadata)) {
+                errors.push(`images["${image}"] must be an object of field values`);
+                return;
+            }
+            Object.entries(metadata).forEach(([field, value]) => {
+                const definition = manifest.fields[field];
+                if (!definition) {
+                    errors.push(`images["${image}"].${field} is not declared in fields`);
+                } else if (value !== null && MANIFEST_FIELD_TYPES.includes(definition.type) && typeof value !== definition.type) {
+                    errors.push(`images["${image}"].${field} must be a ${definition.type} or null (got ${JSON.stringify(value)})`);
+                }
+            });
+        });
+        
+        return errors;
+    }
+    
+    getMetadataFields() {
+        return Object.keys(this.metadataFields);
+    }
+    
+    /**
+     * Numeric manifest fields (the ones within-trial matching can use)
+     */
+    getNumericMetadataFields() {
+        return this.getMetadataFields().filter(field => this.metadataFields[field].type === 'number');
+    }
+    
+    getImageMetadata(image) {
+        return this.stimulusManifest[image] || {};
+    }
+    
+    /**
+     * Set the within-trial matching tolerances: field → largest allowed difference
+     * between the images of one trial (fields checked by ConfigManager.validateMatchingFields)
+     */
+    setWithinTrialMatching(matching) {
+        this.withinTrialMatching = { ...matching };
+        
+        Object.keys(this.withinTrialMatching).forEach(field => {
+            const known = Object.values(this.stimulusManifest).filter(metadata => typeof metadata[field] === 'number').length;
+            if (known === 0) {
+                console.warn(`No image in the stimulus manifest has a ${field} value - matching on ${field} has no effect`);
+            }
+        });
+        
+        const summary = Object.entries(this.withinTrialMatching).map(([field, range]) => `${field} ±${range}`);
+        console.log(`Within-trial matching: ${summary.join(', ') || 'off'}`);
+    }
+    
+    /**
+     * True if adding an image to a trial keeps every matched field within its range.
+     * Images without a value for a field are not constrained on that field.
+     */
+    isWithinMatchingRange(image, trialImages) {
+        return Object.entries(this.withinTrialMatching).every(([field, range]) => {
+            const value = this.getImageMetadata(image)[field];
+            if (typeof value !== 'number') {
+                return true;
+            }
+            const values = trialImages
+                .map(trialImage => this.getImageMetadata(trialImage)[field])
+                .filter(trialValue => typeof trialValue === 'number');
+            return values.every(trialValue => Math.abs(trialValue - value) <= range);
+        });
+    }
+    
+    getListNames() {
+        return Object.keys(this.stimulusLists);
+    }
+    
+    /**
+     * Candidate list-to-round orders for counterbalancing across participants
+     * 'latin-square': cyclic rotations of the lists (each list is shown in each round equally often)
+     * 'all-orders': every ordered choice of one list per round
+     */
+    getListOrders(mode, totalRounds) {
+        const lists = this.getListNames();
+        if (mode === 'latin-square') {
+            return lists.map((_, offset) =>
+                Array.from({ length: totalRounds }, (__, round) => lists[(offset + round) % lists.length]));
+        }
+        
+        const orders = [];
+        const extend = (order) => {
+            if (order.length === totalRounds) {
+                orders.push(order);
+                return;
+            }
+            lists.filter(list => !order.includes(list)).forEach(list => extend([...order, list]));
         };
+        extend([]);
+        return orders;
+    }
+    
+    /**
+     * Pick the participant's list-to-round order. Numeric participant IDs cycle
+     * through the orders (ID mod number of orders); other IDs are hashed.
+     * Returns { order, index } where index is the position in getListOrders().
+     */
+    assignListOrder(participantId, mode, totalRounds) {
+        const orders = this.getListOrders(mode, totalRounds);
+        if (orders.length === 0) {
+            this.listOrder = [];
+            return { order: [], index: null };
+        }
         
-        // Randomly shuffle positions for this trial
-        const shuffledPositions = [...this.positionNames];
-        this.shuffleArray(shuffledPositions);
+        const index = SeededRandom.normalizeSeed(participantId) % orders.length;
+        this.setListOrder(orders[index]);
+        return { order: orders[index], index: index };
+    }
+    
+    /**
+     * Set the stimulus list shown in each round (round 1 first)
+     */
+    setListOrder(order) {
+        const unknown = order.filter(list => !this.stimulusLists[list]);
+        if (unknown.length > 0) {
+            throw new Error(`Unknown stimulus list(s) ${unknown.join(', ')} (${this.stimulusFile} defines: ${this.getListNames().join(', ') || 'none'})`);
+        }
+        this.listOrder = [...order];
+        console.log(`Stimulus list order: ${this.listOrder.join(', ') || 'none (shared pool)'}`);
+    }
+    
+    /**
+     * Stimulus list of a round ('' when the rounds share one pool)
+     */
+    getRoundList(roundNumber) {
+        return this.listOrder[roundNumber - 1] || '';
+    }
+    
+    /**
+     * Choose the images one round will draw from. With a stimulus list the round is
+     * restricted to that list's images. With subcategory balancing, images are spread
+     * evenly over subcategories: needs maps category → number of images the round
+     * shows; roundsRemaining counts this round. Within each category, images are
+     * grouped by their combined subcategory values; each group contributes as equally
+     * as its supply allows, capped at its fair share (remaining supply / rounds
+     * remaining) so no group is used up early. Under the 'overlap' prior image policy
+     * the repeats are then spread over these groups (see allocateRepeatQuotas).
+     */
+    prepareRoundSelection(needs, roundsRemaining, listName = '') {
+        this.roundPools = null;
         
-        // Select one image from each emotional category + filler
-        const emotionalCategories = ['dysphoric', 'threat', 'positive'];
+        const listImages = listName ? this.stimulusLists[listName] : null;
+        if (listName && !listImages) {
+            throw new Error(`Unknown stimulus list: ${listName}`);
+        }
+        const candidates = category => listImages
+            ? this.availableImages[category].filter(image => listImages.has(image))
+            : this.availableImages[category];
+        
+        if (listImages) {
+            const shortfalls = Object.entries(needs)
+                .filter(([category, need]) => candidates(category).length < need)
+                .map(([category, need]) => `${category} (need ${need}, have ${candidates(category).length})`);
+            if (shortfalls.length > 0) {
+                throw new Error(`Stimulus list ${listName} has too few images for one round: ${shortfalls.join(', ')}`);
+            }
+            // The list belongs to this round alone, so balancing need not save images for later rounds
+            roundsRemaining = 1;
+        }
         
-        emotionalCategories.forEach((category, index) => {
-            const availablePool = this.availableImages[category].filter(img => !usedImages.has(`images/${img}`));
-            
-            if (availablePool.length === 0) {
-                throw new Error(`No available ${category} images remaining! Used: ${usedImages.size}`);
+        if (this.balanceSubcategories.length === 0) {
+            if (listImages || this.overlapProportion !== null) {
+                this.roundPools = {};
+                Object.entries(needs).forEach(([category, need]) => {
+                    const images = candidates(category);
+                    if (this.overlapProportion === null) {
+                        this.roundPools[category] = images;
+                        return;
+                    }
+                    // The round's images first, then the other novel images for draws that skip some
+                    const groups = new Map([['', images]]);
+                    const repeats = this.allocateRepeatQuotas(category, groups, new Map([['', need]]));
+                    const roundImages = this.selectRoundImages(images, need, repeats.get(''));
+                    this.roundPools[category] = [...roundImages,
+                        ...images.filter(image => !this.priorImages.has(image) && !roundImages.includes(image))];
+                });
+                console.log(`Round pools${listImages ? ` from stimulus list ${listName}` : ''}:`, Object.fromEntries(
+                    Object.entries(this.roundPools).map(([category, pool]) => [category, pool.length])));
             }
+            return;
+        }
+        
+        const unknown = this.balanceSubcategories.filter(dimension => !this.subcategoryRules[dimension]);
+        if (unknown.length > 0) {
+            throw new Error(`Cannot balance unknown subcategory dimension(s) ${unknown.join(', ')} (new-data.json defines: ${this.getSubcategoryDimensions().join(', ') || 'none'})`);
+        }
+        
+        this.roundPools = {};
+        Object.entries(needs).forEach(([category, need]) => {
+            // Group the category's remaining images (pool order is already shuffled)
+            const groups = new Map();
+            candidates(category).forEach(image => {
+                const subcategories = this.getSubcategories(image);
+                const key = this.balanceSubcategories.map(dimension => subcategories[dimension]).join('/');
+                if (!groups.has(key)) {
+                    groups.set(key, []);
+                }
+                groups.get(key).push(image);
+            });
             
-            // Select first available image (pools are already shuffled)
-            const selectedImage = availablePool[0];
-            const imagePath = `images/${selectedImage}`;
-            
-            selected[category] = selectedImage;
-            selected.positions[category] = shuffledPositions[index];
+            const quotas = this.allocateSubcategoryQuotas(need, groups, roundsRemaining);
+            const repeats = this.overlapProportion !== null ? this.allocateRepeatQuotas(category, groups, quotas) : null;
+            const pool = [];
+            groups.forEach((images, key) => {
+                pool.push(...(repeats
+                    ? this.selectRoundImages(images, quotas.get(key), repeats.get(key))
+                    : images.slice(0, quotas.get(key))));
+            });
+            this.roundPools[category] = this.shuffleArray(pool);
             
-            // Remove from available pool and add to used set
-            this.availableImages[category] = this.availableImages[category].filter(img => img !== selectedImage);
-            usedImages.add(imagePath);
+            console.log(`Round pool for ${category}:`, Object.fromEntries(quotas));
+        });
+    }
+    
+    clearRoundSelection() {
+        this.roundPools = null;
+    }
+    
+    /**
+     * Hand out one image at a time to the group with the fewest so far (ties: most
+     * remaining supply, then random) until the round's need is met
+     */
+    allocateSubcategoryQuotas(need, groups, roundsRemaining) {
+        const quotas = new Map();
+        const caps = new Map();
+        groups.forEach((images, key) => {
+            quotas.set(key, 0);
+            caps.set(key, Math.ceil(images.length / roundsRemaining));
+        });
+        
+        for (let i = 0; i < need; i++) {
+            let candidates = [...groups.keys()].filter(key => quotas.get(key) < caps.get(key));
+            if (candidates.length === 0) {
+                // Fair shares exhausted - take from whatever supply is left
+                candidates = [...groups.keys()].filter(key => quotas.get(key) < groups.get(key).length);
+            }
+            if (candidates.length === 0) {
+                throw new Error(`Not enough images to fill the round: need ${need}, have ${i}`);
+            }
             
-            console.log(`Selected ${category}: ${selectedImage} at ${shuffledPositions[index]}`);
+            this.shuffleArray(candidates);
+            candidates.sort((a, b) =>
+                (quotas.get(a) - quotas.get(b)) ||
+                ((groups.get(b).length - quotas.get(b)) - (groups.get(a).length - quotas.get(a))));
+            quotas.set(candidates[0], quotas.get(candidates[0]) + 1);
+        }
+        
+        return quotas;
+    }
+    
+    /**
+     * Split each group's quota (subcategory group → images it gives the round) into
+     * repeated prior images and novel images under the 'overlap' policy, so that
+     * overlapProportion of the round's images are repeats. Repeats go first where
+     * there are too few novel images, then one at a time to the group with the
+     * smallest share of repeats so far. Warns with the share achieved when the
+     * groups cannot supply the requested number. Returns group → repeats.
+     */
+    allocateRepeatQuotas(category, groups, quotas) {
+        const need = [...quotas.values()].reduce((sum, quota) => sum + quota, 0);
+        const requested = Math.round(need * this.overlapProportion);
+        const repeats = new Map();
+        const limits = new Map();
+        groups.forEach((images, key) => {
+            const quota = quotas.get(key) || 0;
+            const seen = images.filter(image => this.priorImages.has(image)).length;
+            repeats.set(key, Math.max(0, quota - (images.length - seen)));
+            limits.set(key, Math.min(quota, seen));
         });
         
-        // Select filler image for 4th position
-        const availableFillerPool = this.availableImages.filler.filter(img => !usedImages.has(`images/${img}`));
+        let total = [...repeats.values()].reduce((sum, count) => sum + count, 0);
+        while (total < requested) {
+            const candidates = [...groups.keys()].filter(key => repeats.get(key) < limits.get(key));
+            if (candidates.length === 0) {
+                break;
+            }
+            this.shuffleArray(candidates);
+            candidates.sort((a, b) => (repeats.get(a) / quotas.get(a)) - (repeats.get(b) / quotas.get(b)));
+            repeats.set(candidates[0], repeats.get(candidates[0]) + 1);
+            total++;
+        }
         
-        if (availableFillerPool.length === 0) {
-            throw new Error(`No available filler images remaining! Used: ${usedImages.size}`);
+        if (need > 0 && total !== requested) {
+            console.warn(`${category}: ${total} of ${need} images this round are repeats (${(total / need).toFixed(2)}, overlapProportion ${this.overlapProportion} asks for ${requested}) - the stimulus list or subcategory groups have too few ${total < requested ? 'prior' : 'novel'} images`);
+        }
+        return repeats;
+    }
+    
+    /**
+     * count images of one group for the round, `repeats` of them prior images and
+     * the rest novel, in a random order
+     */
+    selectRoundImages(images, count, repeats) {
+        const seen = images.filter(image => this.priorImages.has(image));
+        const novel = images.filter(image => !this.priorImages.has(image));
+        return this.shuffleArray([...seen.slice(0, repeats), ...novel.slice(0, count - repeats)]);
+    }
+    
+    /**
+     * Draw the next unused image of a category (from the balanced round pool if one
+     * was prepared) that passes the optional accept test, remove it from the pools
+     * and mark it used
+     */
+    takeImage(category, usedImages, accept = null) {
+        const source = this.roundPools && this.roundPools[category] ? this.roundPools[category] : this.availableImages[category];
+        const selectedImage = source.find(img => !usedImages.has(`images/${img}`) && (!accept || accept(img)));
+        if (!selectedImage) {
+            return null;
         }
         
-        const selectedFillerImage = availableFillerPool[0];
-        const fillerImagePath = `images/${selectedFillerImage}`;
+        this.reserveImage(category, selectedImage, usedImages);
+        return selectedImage;
+    }
+    
+    /**
+     * Select the display layout. Call before loadStimulusDefinition() so trial
+     * compositions are checked against the layout's number of positions.
+     */
+    setDisplayLayout(name, eccentricity = 0.35) {
+        const layout = DISPLAY_LAYOUTS[name];
+        if (!layout) {
+            throw new Error(`Unknown display layout: ${name} (expected one of: ${Object.keys(DISPLAY_LAYOUTS).join(', ')})`);
+        }
+        this.displayLayout = { name: name, eccentricity: eccentricity };
+        this.positionNames = Object.keys(layout.positions);
+        this.positionPlans = {};
+        console.log(`Display layout: ${name} (${this.positionNames.join(', ')})`);
+    }
+    
+    /**
+     * Show every image at a fixed width (px, height from the standard aspect ratio),
+     * e.g. display.imageSize converted from degrees; null restores viewport sizing
+     */
+    setImageWidth(width) {
+        this.fixedImageWidth = width;
+        console.log(width === null ? 'Image size: from the viewport' : `Image size: ${width}px wide`);
+    }
+    
+    /**
+     * Participant-facing sentence describing where the images appear
+     */
+    getLayoutDescription() {
+        return DISPLAY_LAYOUTS[this.displayLayout.name].description;
+    }
+    
+    /**
+     * Set how slots of mixed-category trial types are assigned to quadrants
+     * 'random': independent shuffle per trial
+     * 'latin-square': counterbalanced plan built per round by preparePositionPlans()
+     */
+    setPositionAssignment(mode) {
+        if (mode !== 'random' && mode !== 'latin-square') {
+            throw new Error(`Unknown position assignment mode: ${mode}`);
+        }
+        this.positionAssignment = mode;
+        this.positionPlans = {};
+        console.log(`Quadrant assignment mode: ${mode}`);
+    }
+    
+    isAttentionCheckTrialType(trialType) {
+        return trialType === ATTENTION_CHECK_TRIAL_TYPE;
+    }
+    
+    /**
+     * Trial types that mix categories are counterbalanced; single-category trials
+     * (e.g. four fillers) have interchangeable slots and are always shuffled
+     */
+    isCounterbalancedTrialType(trialType) {
+        if (this.isAttentionCheckTrialType(trialType)) {
+            return false;
+        }
+        return Object.keys(this.trialTypes[trialType].composition).length > 1;
+    }
+    
+    /**
+     * Build one round's slot → quadrant plans. trialCounts maps trial type → number
+     * of trials of that type in the round.
+     */
+    preparePositionPlans(trialCounts) {
+        this.positionPlans = {};
         
-        selected.filler = selectedFillerImage;
-        selected.positions.filler = shuffledPositions[3]; // Last position
+        if (this.positionAssignment !== 'latin-square') {
+            return this.positionPlans;
+        }
         
-        // Remove from available pool and add to used set
-        this.availableImages.filler = this.availableImages.filler.filter(img => img !== selectedFillerImage);
-        usedImages.add(fillerImagePath);
+        Object.entries(trialCounts).forEach(([trialType, trialCount]) => {
+            if (trialCount > 0 && this.isCounterbalancedTrialType(trialType)) {
+                this.positionPlans[trialType] = {
+                    entries: this.buildPositionPlan(trialType, trialCount),
+                    index: 0
+                };
+            }
+        });
+        return this.positionPlans;
+    }
+    
+    /**
+     * Build the slot → quadrant plan for one round's trials of a type.
+     * The plan is made of blocks of randomized Latin squares (rows = trials,
+     * columns = slots, symbols = positions), so within every full block each
+     * category appears in each quadrant exactly once.
+     */
+    buildPositionPlan(trialType, trialCount) {
+        const plan = [];
+        const slots = this.getTrialSlots(trialType);
+        const size = this.positionNames.length;
+        if (slots.length !== size) {
+            throw new Error(`Latin-square assignment needs ${trialType} trials to show as many images (${slots.length}) as there are positions (${size})`);
+        }
         
-        console.log(`Selected filler: ${selectedFillerImage} at ${shuffledPositions[3]}`);
-        console.log('Image trial selection complete:', selected);
+        if (trialCount % size !== 0) {
+            console.warn(`${trialCount} ${trialType} trials is not a multiple of ${size}: the last block is a partial Latin square, so balance is approximate`);
+        }
         
-        return selected;
+        const blockCount = Math.ceil(trialCount / size);
+        for (let block = 0; block < blockCount; block++) {
+            const square = this.generateLatinSquare(size);
+            square.forEach((row, rowIndex) => {
+                if (plan.length >= trialCount) {
+                    return;
+                }
+                const positions = {};
+                slots.forEach(({ slot }, column) => {
+                    positions[slot] = this.positionNames[row[column]];
+                });
+                plan.push({
+                    block: block + 1,
+                    row: rowIndex + 1,
+                    positions: positions
+                });
+            });
+        }
+        
+        console.log(`Latin-square position plan for ${trialCount} ${trialType} trials:`, plan);
+        return plan;
     }
     
     /**
-     * Select images for a filler trial: 4 filler images
-     * Returns object with selected filler images and their random position assignments
+     * Randomized n×n Latin square: cyclic square with shuffled rows, columns and symbols
      */
-    selectImagesForFillerTrial(usedImages) {
-        console.log('=== Selecting Images for FILLER Trial ===');
+    generateLatinSquare(size) {
+        const columnOrder = [...Array(size).keys()];
+        const symbolOrder = [...Array(size).keys()];
+        const rows = [...Array(size).keys()];
+        this.shuffleArray(rows);
+        this.shuffleArray(columnOrder);
+        this.shuffleArray(symbolOrder);
+        
+        return rows.map(row => columnOrder.map(column => symbolOrder[(row + column) % size]));
+    }
+    
+    /**
+     * Take the next entry of the current round's plan for a trial type
+     * (null in random mode or for trial types that are not counterbalanced)
+     */
+    nextPlannedPositions(trialType) {
+        const plan = this.positionPlans[trialType];
+        if (!plan) {
+            return null;
+        }
+        if (plan.index >= plan.entries.length) {
+            console.warn(`Position plan for ${trialType} trials exhausted - falling back to random quadrant assignment`);
+            return null;
+        }
+        return plan.entries[plan.index++];
+    }
+    
+    /**
+     * Main method called to get images for a trial: one image per slot of the trial
+     * type's composition. Returns the selected images keyed by slot with their
+     * position assignments (counterbalanced plan in latin-square mode, random
+     * shuffle otherwise). Attention-check trials get a random targetPosition instead.
+     */
+    selectImagesForTrial(trialType, usedImages) {
+        console.log(`=== Selecting Images for ${trialType.toUpperCase()} Trial ===`);
         
+        const slots = this.getTrialSlots(trialType);
         const selected = {
-            filler1: '',
-            filler2: '',
-            filler3: '',
-            filler4: '',
-            positions: {
-                filler1: '',
-                filler2: '',
-                filler3: '',
-                filler4: ''
-            }
+            positions: {},
+            positionAssignment: 'random',
+            positionPlanBlock: '',
+            positionPlanRow: ''
         };
         
-        // Randomly shuffle positions for this trial
-        const shuffledPositions = [...this.positionNames];
-        this.shuffleArray(shuffledPositions);
-        
-        // Select 4 different filler images
-        const availableFillerPool = this.availableImages.filler.filter(img => !usedImages.has(`images/${img}`));
-        
-        if (availableFillerPool.length < 4) {
-            throw new Error(`Not enough filler images remaining! Need 4, have ${availableFillerPool.length}`);
+        // Use the counterbalanced plan if there is one, otherwise shuffle positions for this trial
+        const plannedPositions = this.nextPlannedPositions(trialType);
+        let slotPositions;
+        if (plannedPositions) {
+            slotPositions = slots.map(({ slot }) => plannedPositions.positions[slot]);
+            selected.positionAssignment = 'latin-square';
+            selected.positionPlanBlock = plannedPositions.block;
+            selected.positionPlanRow = plannedPositions.row;
+        } else {
+            slotPositions = this.shuffleArray([...this.positionNames]);
+        }
+        if (this.isAttentionCheckTrialType(trialType)) {
+            selected.targetPosition = slotPositions[0];
+            console.log(`Attention check target at ${selected.targetPosition}`);
+            return selected;
         }
         
-        for (let i = 0; i < 4; i++) {
-            const selectedImage = availableFillerPool[i];
-            const imagePath = `images/${selectedImage}`;
-            const fillerKey = `filler${i + 1}`;
+        const trialImages = [];
+        const matching = Object.keys(this.withinTrialMatching).length > 0;
+        
+        slots.forEach(({ slot, category }, index) => {
+            // Select first available image (pools are already shuffled), matched to the
+            // images already chosen for this trial if within-trial matching is on
+            let selectedImage = matching
+                ? this.takeImage(category, usedImages, image => this.isWithinMatchingRange(image, trialImages))
+                : this.takeImage(category, usedImages);
+            if (!selectedImage && matching) {
+                console.warn(`No ${category} image matches the other ${trialType} trial images within the matching ranges - using the next available image`);
+                selectedImage = this.takeImage(category, usedImages);
+            }
             
-            selected[fillerKey] = selectedImage;
-            selected.positions[fillerKey] = shuffledPositions[i];
+            if (!selectedImage) {
+                throw new Error(`No available ${category} images remaining for ${trialType} trial! Used: ${usedImages.size}`);
+            }
             
-            // Remove from available pool and add to used set
-            this.availableImages.filler = this.availableImages.filler.filter(img => img !== selectedImage);
-            usedImages.add(imagePath);
+            selected[slot] = selectedImage;
+            selected.positions[slot] = slotPositions[index];
+            trialImages.push(selectedImage);
             
-            console.log(`Selected ${fillerKey}: ${selectedImage} at ${shuffledPositions[i]}`);
-        }
+            console.log(`Selected ${slot}: ${selectedImage} at ${slotPositions[index]}`);
+        });
         
-        console.log('Filler trial selection complete:', selected);
+        console.log(`${trialType} trial selection complete:`, selected);
         
         return selected;
     }
     
     /**
-     * Main method called by ExperimentController to get images for a trial
+     * Image slots shown in a trial of the given type: slot name (key in imageData),
+     * the category it draws from, the label used in CSV column names and the trial
+     * CSV image column (img_threat for a single image of a category, filler_1...filler_4
+     * for several, as in the original filler-trial columns)
      */
-    selectImagesForTrial(trialType, usedImages) {
-        if (trialType === 'image') {
-            return this.selectImagesForImageTrial(usedImages);
-        } else if (trialType === 'filler') {
-            return this.selectImagesForFillerTrial(usedImages);
-        } else {
+    getTrialSlots(trialType) {
+        if (this.isAttentionCheckTrialType(trialType)) {
+            return [];
+        }
+        const definition = this.trialTypes[trialType];
+        if (!definition) {
             throw new Error(`Unknown trial type: ${trialType}`);
         }
+        
+        const slots = [];
+        Object.entries(definition.composition).forEach(([category, count]) => {
+            for (let n = 1; n <= count; n++) {
+                slots.push({
+                    slot: count === 1 ? category : `${category}${n}`,
+                    category: category,
+                    label: count === 1 ? category : `${category}_${n}`,
+                    column: count === 1 ? `img_${category}` : `${category}_${n}`
+                });
+            }
+        });
+        return slots;
     }
     
+    /**
+     * Every slot any trial type can show (used to lay out the trial CSV columns)
+     */
+    getAllSlots() {
+        const slots = new Map();
+        this.getTrialTypes().forEach(trialType => {
+            this.getTrialSlots(trialType).forEach(slotInfo => {
+                if (!slots.has(slotInfo.slot)) {
+                    slots.set(slotInfo.slot, slotInfo);
+                }
+            });
+        });
+        return [...slots.values()];
+    }
+    
+    /**
+     * Check whether an image path (relative to images/) belongs to a category in new-data.json
+     */
+    isImageInCategory(image, category) {
+        return Boolean(this.imageCategories && this.imageCategories[category] &&
+            this.imageCategories[category].includes(image));
+    }
+
+    /**
+     * Take a specific image out of its pool and mark it used
+     * (used when running an imported schedule instead of selecting images)
+     */
+    reserveImage(category, image, usedImages) {
+        this.availableImages[category] = this.availableImages[category].filter(img => img !== image);
+        if (this.roundPools && this.roundPools[category]) {
+            this.roundPools[category] = this.roundPools[category].filter(img => img !== image);
+        }
+        usedImages.add(`images/${image}`);
+    }
+
     /**
      * Display images in the container based on position assignments
      * Now uses dynamic positioning to prevent overlap across different screen sizes
@@ -237,39 +1096,18 @@ class ImageManager {
             height: window.innerHeight
         });
         
-        // Map position names to image elements (dynamic positioning uses different naming)
-        const imageElements = {
-            'top-left': container.querySelector('#top-left-image'),
-            'top-right': container.querySelector('#top-right-image'),
-            'bottom-left': container.querySelector('#bottom-left-image'),
-            'bottom-right': container.querySelector('#bottom-right-image')
-        };
-        
-        // Map our position names to dynamic position names
-        const positionMapping = {
-            'top-left': 'topLeft',
-            'top-right': 'topRight',
-            'bottom-left': 'bottomLeft',
-            'bottom-right': 'bottomRight'
-        };
+        // One image element per position of the current layout
+        const imageElements = this.createImageElements(container);
         
         // Display images based on their assigned positions using dynamic positioning
         if (imageData.positions) {
-            Object.keys(imageData.positions).forEach(category => {
-                const assignedPosition = imageData.positions[category];
+            Object.keys(imageData.positions).forEach(slot => {
+                const assignedPosition = imageData.positions[slot];
                 const imageElement = imageElements[assignedPosition];
-                const dynamicPositionKey = positionMapping[assignedPosition];
-                const dynamicPosition = dynamicPositions[dynamicPositionKey];
+                const dynamicPosition = dynamicPositions[assignedPosition];
                 
                 if (imageElement && assignedPosition && dynamicPosition) {
-                    let imagePath = '';
-                    
-                    // Determine image path based on category
-                    if (category === 'dysphoric' || category === 'threat' || category === 'positive' || category === 'filler') {
-                        imagePath = `images/${imageData[category]}`;
-                    } else if (category.startsWith('filler')) {
-                        imagePath = `images/${imageData[category]}`;
-                    }
+                    const imagePath = imageData[slot] ? `images/${imageData[slot]}` : '';
                     
                     if (imagePath) {
                         // Apply dynamic positioning
@@ -286,7 +1124,7 @@ class ImageManager {
                         imageElement.style.display = 'block';
                         imageElement.style.opacity = '1';
                         
-                        console.log(`Displaying ${category} image: ${imagePath} at ${assignedPosition} (dynamic: x=${dynamicPosition.x}, y=${dynamicPosition.y})`);
+                        console.log(`Displaying ${slot} image: ${imagePath} at ${assignedPosition} (dynamic: x=${dynamicPosition.x}, y=${dynamicPosition.y})`);
                     }
                 }
             });
@@ -298,6 +1136,57 @@ class ImageManager {
         console.log('Images displayed successfully with dynamic positioning');
     }
     
+    /**
+     * Show an attention-check target centred where an image at the given layout
+     * position would appear
+     */
+    displayAttentionTarget(position, targetElement) {
+        const dynamicPosition = this.calculateOptimalImagePositions()[position];
+        const imageSize = this.calculateOptimalImageSize({
+            width: window.innerWidth,
+            height: window.innerHeight
+        });
+        if (!dynamicPosition) {
+            console.error(`Cannot show the attention-check target: unknown position ${position}`);
+            return;
+        }
+        
+        targetElement.style.left = `${dynamicPosition.x + imageSize.width / 2}px`;
+        targetElement.style.top = `${dynamicPosition.y + imageSize.height / 2}px`;
+        targetElement.classList.add('active');
+        console.log(`Attention-check target displayed at ${position}`);
+    }
+    
+    /**
+     * Create the layout's <img data-position="..."> elements in the container
+     * (replacing those of another layout) and return them keyed by position
+     */
+    createImageElements(container) {
+        const imageElements = {};
+        
+        container.querySelectorAll('.stimulus-image').forEach(element => {
+            if (this.positionNames.includes(element.dataset.position)) {
+                imageElements[element.dataset.position] = element;
+            } else {
+                element.remove();
+            }
+        });
+        
+        this.positionNames.forEach(position => {
+            if (!imageElements[position]) {
+                const element = document.createElement('img');
+                element.id = `${position}-image`;
+                element.className = 'stimulus-image';
+                element.dataset.position = position;
+                element.alt = `${position.replace('-', ' ')} image`;
+                container.appendChild(element);
+                imageElements[position] = element;
+            }
+        });
+        
+        return imageElements;
+    }
+    
     /**
      * Hide all images in container
      */
@@ -318,8 +1207,8 @@ class ImageManager {
         
         const allImages = [];
         
-        // Collect all image paths
-        Object.values(this.imageCategories).forEach(categoryImages => {
+        // Collect all image paths (practice images included)
+        [...Object.values(this.imageCategories), ...Object.values(this.practiceImages)].forEach(categoryImages => {
             categoryImages.forEach(imagePath => {
                 allImages.push(`images/${imagePath}`);
             });
@@ -365,39 +1254,114 @@ class ImageManager {
         return true;
     }
     
+    /**
+     * Number of images per category needed for the given trial counts
+     * (trial type → number of trials)
+     */
+    getCategoryNeeds(trialCounts) {
+        const needs = {};
+        Object.entries(trialCounts).forEach(([trialType, trialCount]) => {
+            this.getTrialSlots(trialType).forEach(({ category }) => {
+                needs[category] = (needs[category] || 0) + trialCount;
+            });
+        });
+        return needs;
+    }
+    
+    /**
+     * Restrict the session's image pools to follow the prior-session policy:
+     * 'ignore'  - prior images are drawn like any other (only marked as repeated)
+     * 'exclude' - prior images are never shown again
+     * 'overlap' - overlapProportion of each round's images per category are prior
+     *             images, the rest are novel (the share is applied per round within the
+     *             stimulus list and subcategory quotas by prepareRoundSelection; prior
+     *             images beyond it are not shown)
+     * sessionNeeds maps category → images the whole session shows. Call after
+     * loadConfig() and before the schedule is generated. Throws if too few unseen
+     * images remain.
+     */
+    applyPriorImagePolicy(priorImages, policy, overlapProportion, sessionNeeds) {
+        if (!PRIOR_IMAGE_POLICIES.includes(policy)) {
+            throw new Error(`Unknown prior image policy: ${policy}`);
+        }
+        this.priorImages = new Set(priorImages);
+        this.overlapProportion = null;
+        
+        if (policy === 'ignore' || this.priorImages.size === 0) {
+            console.log(`Prior images: ${this.priorImages.size} (policy: ${policy}, pools unchanged)`);
+            return;
+        }
+        
+        const errors = [];
+        this.categories.forEach(category => {
+            const need = sessionNeeds[category] || 0;
+            const pool = this.availableImages[category];
+            const novel = pool.filter(image => !this.priorImages.has(image));
+            const seen = pool.filter(image => this.priorImages.has(image));
+            
+            if (policy === 'exclude') {
+                if (novel.length < need) {
+                    errors.push(`${category}: the session shows ${need} images but only ${novel.length} were not seen in prior sessions`);
+                }
+                this.availableImages[category] = novel;
+                return;
+            }
+            
+            // Session-wide check only: each round takes its repeats in prepareRoundSelection.
+            // Novel images go first so draws outside the rounds prefer them
+            const requested = Math.round(need * overlapProportion);
+            const repeats = Math.min(requested, seen.length);
+            if (repeats < requested) {
+                console.warn(`${category}: ${requested} repeated images requested but only ${seen.length} prior images are available`);
+            }
+            if (novel.length < need - repeats) {
+                errors.push(`${category}: the session needs ${need - repeats} novel images but only ${novel.length} were not seen in prior sessions`);
+            }
+            this.availableImages[category] = [...novel, ...seen];
+        });
+        
+        if (errors.length > 0) {
+            throw new Error(`Not enough unseen images for this session (prior image policy: ${policy}):\n- ${errors.join('\n- ')}`);
+        }
+        if (policy === 'overlap') {
+            this.overlapProportion = overlapProportion;
+        }
+        
+        console.log(`Prior images: ${this.priorImages.size} (policy: ${policy}) - session pools:`, this.getRemainingImageCounts());
+    }
+    
+    /**
+     * 'repeated' if the participant saw the image in an earlier session, otherwise 'novel'
+     */
+    getImageNovelty(image) {
+        return this.priorImages.has(image) ? 'repeated' : 'novel';
+    }
+    
     /**
      * Get remaining images available for selection
      */
     getRemainingImageCounts() {
-        return {
-            dysphoric: this.availableImages.dysphoric.length,
-            threat: this.availableImages.threat.length,
-            positive: this.availableImages.positive.length,
-            filler: this.availableImages.filler.length,
-            total: Object.values(this.availableImages).reduce((sum, pool) => sum + pool.length, 0)
-        };
+        const counts = {};
+        this.categories.forEach(category => {
+            counts[category] = this.availableImages[category].length;
+        });
+        counts.total = Object.values(this.availableImages).reduce((sum, pool) => sum + pool.length, 0);
+        return counts;
     }
     
     /**
      * Check if enough images remain for remaining trials
+     * (remainingTrialCounts maps trial type → trials still to run)
      */
-    canCompleteRemainingTrials(imageTrialsRemaining, fillerTrialsRemaining) {
+    canCompleteRemainingTrials(remainingTrialCounts) {
         const counts = this.getRemainingImageCounts();
+        const needed = this.getCategoryNeeds(remainingTrialCounts);
         
-        const emotionalImagesNeeded = imageTrialsRemaining; // 1 per image trial
-        const fillerImagesNeeded = (imageTrialsRemaining * 1) + (fillerTrialsRemaining * 4); // 1 per image trial + 4 per filler trial
-        
-        const canComplete = (
-            counts.dysphoric >= emotionalImagesNeeded &&
-            counts.threat >= emotionalImagesNeeded &&
-            counts.positive >= emotionalImagesNeeded &&
-            counts.filler >= fillerImagesNeeded
-        );
+        const canComplete = Object.entries(needed).every(([category, count]) => counts[category] >= count);
         
         console.log(`Image availability check:
-        - Emotional images needed: ${emotionalImagesNeeded} each
-        - Filler images needed: ${fillerImagesNeeded}
-        - Available: dysphoric=${counts.dysphoric}, threat=${counts.threat}, positive=${counts.positive}, filler=${counts.filler}
+        - Needed: ${Object.entries(needed).map(([category, count]) => `${category}=${count}`).join(', ')}
+        - Available: ${this.categories.map(category => `${category}=${counts[category]}`).join(', ')}
         - Can complete: ${canComplete}`);
         
         return canComplete;
@@ -419,6 +1383,14 @@ class ImageManager {
         const imageSize = this.calculateOptimalImageSize(viewport);
         console.log(`Optimal image size: ${imageSize.width}x${imageSize.height}`);
         
+        // Quadrants keep their original placement; other layouts sit on the eccentricity ring
+        if (this.displayLayout.name !== 'quadrants') {
+            const ringPositions = this.calculateRingPositions(viewport, imageSize);
+            console.log('Final positions:', ringPositions);
+            console.log('=== End Dynamic Positioning ===');
+            return ringPositions;
+        }
+        
         // Calculate safe positions with minimum gaps
         const positions = this.calculateSafePositions(viewport, imageSize);
         
@@ -435,6 +1407,13 @@ class ImageManager {
      * Calculate optimal image size based on viewport dimensions
      */
     calculateOptimalImageSize(viewport) {
+        const aspectRatio = 380 / 260; // Original ratio from CSS
+        
+        // A fixed (calibrated) size is used as is, so its visual angle does not depend on the screen
+        if (this.fixedImageWidth !== null) {
+            return { width: this.fixedImageWidth, height: Math.floor(this.fixedImageWidth / aspectRatio) };
+        }
+        
         // Base size ratios (increased for bigger images)
         const baseRatio = {
             width: 0.25,  // 25% of viewport width (increased from 18%)
@@ -455,18 +1434,96 @@ class ImageManager {
         optimalHeight = Math.max(constraints.minHeight, Math.min(constraints.maxHeight, optimalHeight));
         
         // Maintain aspect ratio preference
-        const aspectRatio = 380 / 260; // Original ratio from CSS
         if (optimalWidth / optimalHeight > aspectRatio) {
             optimalWidth = Math.floor(optimalHeight * aspectRatio);
         } else {
             optimalHeight = Math.floor(optimalWidth / aspectRatio);
         }
         
-        return { width: optimalWidth, height: optimalHeight };
+        const imageSize = { width: optimalWidth, height: optimalHeight };
+        if (this.displayLayout.name !== 'quadrants') {
+            return this.fitImageSizeToRing(viewport, imageSize);
+        }
+        return imageSize;
+    }
+    
+    /**
+     * Shrink images (keeping their aspect ratio) until every image on the ring is
+     * clear of its neighbours and inside the viewport. The ring radius stays fixed
+     * so eccentricity does not depend on the number of images.
+     */
+    fitImageSizeToRing(viewport, imageSize) {
+        let size = { ...imageSize };
+        
+        while (size.width > MIN_RING_IMAGE_WIDTH) {
+            const positions = this.calculateRingPositions(viewport, size);
+            if (!this.hasOverlap(positions, size) && this.isWithinViewport(positions, size, viewport)) {
+                return size;
+            }
+            size = { width: Math.floor(size.width * 0.9), height: Math.floor(size.height * 0.9) };
+        }
+        
+        console.warn(`${this.displayLayout.name} layout does not fit ${viewport.width}x${viewport.height} without overlap - using ${size.width}x${size.height} images`);
+        return size;
+    }
+    
+    /**
+     * Positions of the current ring layout: every image centre lies at the same
+     * distance (eccentricity) from the screen centre, at the layout's angle
+     */
+    calculateRingPositions(viewport, imageSize) {
+        const centerX = viewport.width / 2;
+        const centerY = viewport.height / 2;
+        const radius = this.displayLayout.eccentricity * Math.min(viewport.width, viewport.height);
+        const angles = DISPLAY_LAYOUTS[this.displayLayout.name].positions;
+        
+        const positions = {};
+        this.positionNames.forEach(position => {
+            const radians = angles[position] * Math.PI / 180;
+            const imageCenterX = centerX + radius * Math.sin(radians);
+            const imageCenterY = centerY - radius * Math.cos(radians);
+            positions[position] = {
+                x: Math.round(imageCenterX - (imageSize.width / 2)),
+                y: Math.round(imageCenterY - (imageSize.height / 2)),
+                centerX: Math.round(imageCenterX),
+                centerY: Math.round(imageCenterY),
+                angle: angles[position],
+                eccentricity: Math.round(radius)
+            };
+        });
+        
+        return positions;
+    }
+    
+    /**
+     * True if any two positions overlap (quiet version of validatePositionsForTesting)
+     */
+    hasOverlap(positions, imageSize) {
+        const positionArray = Object.values(positions);
+        for (let i = 0; i < positionArray.length; i++) {
+            for (let j = i + 1; j < positionArray.length; j++) {
+                if (this.checkOverlap(positionArray[i], positionArray[j], imageSize)) {
+                    return true;
+                }
+            }
+        }
+        return false;
     }
     
     /**
-     * Calculate safe positions for four quadrants with minimum gaps
+     * True if every image lies inside the viewport with a small margin
+     */
+    isWithinViewport(positions, imageSize, viewport) {
+        const margin = 20;
+        return Object.values(positions).every(pos =>
+            pos.x >= margin && pos.y >= margin &&
+            pos.x + imageSize.width <= viewport.width - margin &&
+            pos.y + imageSize.height <= viewport.height - margin
+        );
+    }
+    
+    /**
+     * Calculate safe positions for four quadrants with minimum gaps (quadrants layout)
      */
     calculateSafePositions(viewport, imageSize) {
         // Calculate quadrant boundaries
@@ -477,51 +1534,34 @@ class ImageManager {
         // Define quadrant centers closer to screen center
         const offset = 0.7; // Move images closer to center (0.5 = center, 1.0 = original quadrant centers)
         const quadrantCenters = {
-            topLeft: {
+            'top-left': {
                 centerX: centerX - (centerX * offset * 0.5),  // Closer to center horizontally
                 centerY: centerY - (centerY * offset * 0.5)   // Closer to center vertically
             },
-            topRight: {
+            'top-right': {
                 centerX: centerX + (centerX * offset * 0.5),  // Closer to center horizontally
                 centerY: centerY - (centerY * offset * 0.5)   // Closer to center vertically
             },
-            bottomLeft: {
+            'bottom-left': {
                 centerX: centerX - (centerX * offset * 0.5),  // Closer to center horizontally
                 centerY: centerY + (centerY * offset * 0.5)   // Closer to center vertically
             },
-            bottomRight: {
+            'bottom-right': {
                 centerX: centerX + (centerX * offset * 0.5),  // Closer to center horizontally
                 centerY: centerY + (centerY * offset * 0.5)   // Closer to center vertically
             }
         };
         
-        // Calculate top-left positions by centering images in each quadrant
-        const positions = {
-            topLeft: {
-                x: quadrantCenters.topLeft.centerX - (imageSize.width / 2),
-                y: quadrantCenters.topLeft.centerY - (imageSize.height / 2),
-                centerX: quadrantCenters.topLeft.centerX,
-                centerY: quadrantCenters.topLeft.centerY
-            },
-            topRight: {
-                x: quadrantCenters.topRight.centerX - (imageSize.width / 2),
-                y: quadrantCenters.topRight.centerY - (imageSize.height / 2),
-                centerX: quadrantCenters.topRight.centerX,
-                centerY: quadrantCenters.topRight.centerY
-            },
-            bottomLeft: {
-                x: quadrantCenters.bottomLeft.centerX - (imageSize.width / 2),
-                y: quadrantCenters.bottomLeft.centerY - (imageSize.height / 2),
-                centerX: quadrantCenters.bottomLeft.centerX,
-                centerY: quadrantCenters.bottomLeft.centerY
-            },
-            bottomRight: {
-                x: quadrantCenters.bottomRight.centerX - (imageSize.width / 2),
-                y: quadrantCenters.bottomRight.centerY - (imageSize.height / 2),
-                centerX: quadrantCenters.bottomRight.centerX,
-                centerY: quadrantCenters.bottomRight.centerY
-            }
-        };
+        // Calculate top-left corners by centering images in each quadrant (keyed by position name)
+        const positions = {};
+        Object.entries(quadrantCenters).forEach(([position, center]) => {
+            positions[position] = {
+                x: center.centerX - (imageSize.width / 2),
+                y: center.centerY - (imageSize.height / 2),
+                centerX: center.centerX,
+                centerY: center.centerY
+            };
+        });
         
         // Ensure images don't go outside screen boundaries
         Object.keys(positions).forEach(key => {
@@ -595,19 +1635,19 @@ class ImageManager {
         
         // Center images in each quadrant with fallback size
         return {
-            topLeft: { 
+            'top-left': { 
                 x: Math.floor((centerX / 2) - (fallbackImageSize.width / 2)), 
                 y: Math.floor((centerY / 2) - (fallbackImageSize.height / 2)) 
             },
-            topRight: { 
+            'top-right': { 
                 x: Math.floor(centerX + (centerX / 2) - (fallbackImageSize.width / 2)), 
                 y: Math.floor((centerY / 2) - (fallbackImageSize.height / 2)) 
             },
-            bottomLeft: { 
+            'bottom-left': { 
                 x: Math.floor((centerX / 2) - (fallbackImageSize.width / 2)), 
                 y: Math.floor(centerY + (centerY / 2) - (fallbackImageSize.height / 2)) 
             },
-            bottomRight: { 
+            'bottom-right': { 
                 x: Math.floor(centerX + (centerX / 2) - (fallbackImageSize.width / 2)), 
                 y: Math.floor(centerY + (centerY / 2) - (fallbackImageSize.height / 2)) 
             }
@@ -620,12 +1660,7 @@ class ImageManager {
     applyDynamicPositions(container, positions, imageSize) {
         console.log('=== Applying Dynamic Positions ===');
         
-        const imageElements = {
-            'topLeft': container.querySelector('#top-left-image'),
-            'topRight': container.querySelector('#top-right-image'),
-            'bottomLeft': container.querySelector('#bottom-left-image'),
-            'bottomRight': container.querySelector('#bottom-right-image')
-        };
+        const imageElements = this.createImageElements(container);
         
         // Apply CSS custom properties for positioning
         document.documentElement.style.setProperty('--dynamic-image-width', `${imageSize.width}px`);
@@ -832,13 +1867,10 @@ class ImageManager {
     }
 
     /**
-     * Utility method to shuffle an array in place
+     * Utility method to shuffle an array in place using the shared seeded PRNG
      */
     shuffleArray(array) {
-        for (let i = array.length - 1; i > 0; i--) {
-            const j = Math.floor(Math.random() * (i + 1));
-            [array[i], array[j]] = [array[j], array[i]];
-        }
+        return this.random.shuffle(array);
     }
     
 }
@@ -0,0 +1,432 @@
+/**
+ * ImageStatistics - Low-level image statistics for stimulus covariates
+ *
+ * Dwell-time differences between categories can come from low-level image
+ * properties rather than emotional content. This utility draws every preloaded
+ * stimulus (ImageManager.preloadAllImages) on a canvas and computes:
+ * - mean_luminance: mean Rec. 709 luma of the gamma-encoded pixels (0-255)
+ * - rms_contrast: standard deviation of luma scaled to 0-1
+ * - colorfulness: Hasler & Süsstrunk (2003) colourfulness metric
+ * - edge_density: share of pixels whose Sobel gradient magnitude (luma 0-1)
+ *   exceeds EDGE_THRESHOLD
+ * - aspect_ratio: natural width / natural height
+ *
+ * compareCategories() runs a Welch ANOVA per statistic across categories and,
+ * where it is significant, Bonferroni-corrected pairwise Welch t-tests, so the
+ * experimenter page (image-statistics.html) can flag categories that differ.
+ *
+ * Images are read from the canvas, so the page must be served over http(s)
+ * from the same origin as the images (not opened as a file:// URL).
+ */
+
+// Images are downscaled so their longest side is at most this many px before analysis
+const ANALYSIS_MAX_SIZE = 512;
+
+// Sobel magnitude (luma 0-1) above which a pixel counts as an edge: a step of 1/8 of the full range
+const EDGE_THRESHOLD = 0.5;
+
+// Statistics computed per image, in CSV column order
+const IMAGE_STATISTICS = ['mean_luminance', 'rms_contrast', 'colorfulness', 'edge_density', 'aspect_ratio'];
+
+class ImageStatistics {
+    constructor(imageManager, dataManager) {
+        this.imageManager = imageManager;
+        this.dataManager = dataManager;
+        this.results = [];          // One row per stimulus: { image, category, width, height, ...statistics }
+        this.comparisons = [];      // Welch ANOVA and pairwise Welch t-test rows from compareCategories()
+    }
+
+    /**
+     * Preload every stimulus of the stimulus file and analyze it.
+     * progressCallback(done, total, phase) is called during loading and analysis.
+     */
+    async analyzeAll(progressCallback = null) {
+        await this.imageManager.preloadAllImages((loaded, total) => {
+            if (progressCallback) {
+                progressCallback(loaded, total, 'loading');
+            }
+        });
+
+        const entries = [];
+        Object.entries(this.imageManager.imageCategories).forEach(([category, images]) => {
+            images.forEach(image => entries.push({ category, image }));
+        });
+
+        this.results = [];
+        entries.forEach(({ category, image }, index) => {
+            const img = this.imageManager.preloadedImages.get(`images/${image}`);
+            if (!img) {
+                console.warn(`Image statistics: ${image} did not load and is skipped`);
+            } else {
+                this.results.push({
+                    image: image,
+                    category: category,
+                    width: img.naturalWidth,
+                    height: img.naturalHeight,
+                    ...this.analyzeImage(img)
+                });
+            }
+            if (progressCallback) {
+                progressCallback(index + 1, entries.length, 'analyzing');
+            }
+        });
+
+        console.log(`Image statistics computed for ${this.results.length}/${entries.length} images`);
+        return this.results;
+    }
+
+    /**
+     * Draw one loaded image on a canvas and compute its statistics
+     */
+    analyzeImage(img) {
+        const scale = Math.min(1, ANALYSIS_MAX_SIZE / Math.max(img.naturalWidth, img.naturalHeight));
+        const width = Math.max(1, Math.round(img.naturalWidth * scale));
+        const height = Math.max(1, Math.round(img.naturalHeight * scale));
+
+        const canvas = document.createElement('canvas');
+        canvas.width = width;
+        canvas.height = height;
+        const context = canvas.getContext('2d');
+        context.drawImage(img, 0, 0, width, height);
+        const pixels = context.getImageData(0, 0, width, height).data;
+
+        return {
+            ...this.computePixelStatistics(pixels, width, height),
+            aspect_ratio: img.naturalWidth / img.naturalHeight
+        };
+    }
+
+    /**
+     * Luminance, contrast, colourfulness and edge statistics of RGBA pixel data
+     * (as returned by CanvasRenderingContext2D.getImageData)
+     */
+    computePixelStatistics(pixels, width, height) {
+        const pixelCount = width * height;
+        const luma = new Float64Array(pixelCount);
+        let lumaSum = 0;
+        let rgSum = 0, rgSquares = 0, ybSum = 0, ybSquares = 0;
+
+        for (let i = 0; i < pixelCount; i++) {
+            const r = pixels[i * 4];
+            const g = pixels[i * 4 + 1];
+            const b = pixels[i * 4 + 2];
+
+            luma[i] = 0.2126 * r + 0.7152 * g + 0.0722 * b;
+            lumaSum += luma[i];
+
+            const rg = r - g;
+            const yb = 0.5 * (r + g) - b;
+            rgSum += rg;
+            rgSquares += rg * rg;
+            ybSum += yb;
+            ybSquares += yb * yb;
+        }
+
+        const meanLuma = lumaSum / pixelCount;
+        let lumaSquares = 0;
+        for (let i = 0; i < pixelCount; i++) {
+            lumaSquares += (luma[i] - meanLuma) ** 2;
+        }
+
+        // Hasler & Süsstrunk: sqrt(sd_rg² + sd_yb²) + 0.3 * sqrt(mean_rg² + mean_yb²)
+        const rgMean = rgSum / pixelCount;
+        const ybMean = ybSum / pixelCount;
+        const rgVariance = Math.max(0, rgSquares / pixelCount - rgMean * rgMean);
+        const ybVariance = Math.max(0, ybSquares / pixelCount - ybMean * ybMean);
+        const colorfulness = Math.sqrt(rgVariance + ybVariance) + 0.3 * Math.sqrt(rgMean * rgMean + ybMean * ybMean);
+
+        // Sobel gradient on luma scaled to 0-1 (border pixels are not counted)
+        let edgePixels = 0;
+        let interiorPixels = 0;
+        for (let y = 1; y < height - 1; y++) {
+            for (let x = 1; x < width - 1; x++) {
+                const at = (dx, dy) => luma[(y + dy) * width + (x + dx)] / 255;
+                const gx = (at(1, -1) + 2 * at(1, 0) + at(1, 1)) - (at(-1, -1) + 2 * at(-1, 0) + at(-1, 1));
+                const gy = (at(-1, 1) + 2 * at(0, 1) + at(1, 1)) - (at(-1, -1) + 2 * at(0, -1) + at(1, -1));
+                if (Math.sqrt(gx * gx + gy * gy) > EDGE_THRESHOLD) {
+                    edgePixels++;
+                }
+                interiorPixels++;
+            }
+        }
+
+        return {
+            mean_luminance: meanLuma,
+            rms_contrast: Math.sqrt(lumaSquares / pixelCount) / 255,
+            colorfulness: colorfulness,
+            edge_density: interiorPixels > 0 ? edgePixels / interiorPixels : 0
+        };
+    }
+
+    /**
+     * Test every statistic for differences between categories. A Welch ANOVA
+     * (unequal variances) is run across all categories; when it is significant,
+     * pairwise Welch t-tests (Bonferroni-corrected) show which categories differ.
+     */
+    compareCategories(alpha = 0.05) {
+        const categories = [...new Set(this.results.map(row => row.category))];
+        const pairCount = categories.length * (categories.length - 1) / 2;
+        this.comparisons = [];
+
+        IMAGE_STATISTICS.forEach(statistic => {
+            const groups = categories.map(category =>
+                this.results.filter(row => row.category === category).map(row => row[statistic])
+            );
+
+            const anova = this.welchANOVA(groups);
+            this.comparisons.push({
+                statistic: statistic,
+                test: 'welch-anova',
+                comparison: categories.join(' vs '),
+                statistic_value: anova ? anova.F : '',
+                df1: anova ? anova.df1 : '',
+                df2: anova ? anova.df2 : '',
+                p: anova ? anova.p : '',
+                p_adjusted: anova ? anova.p : '',
+                significant: anova ? anova.p < alpha : false,
+                note: anova ? '' : 'not testable (a category has fewer than 2 images or no variance)'
+            });
+
+            if (!anova || anova.p >= alpha) {
+                return;
+            }
+
+            for (let i = 0; i < categories.length; i++) {
+                for (let j = i + 1; j < categories.length; j++) {
+                    const test = this.welchTTest(groups[i], groups[j]);
+                    if (!test) {
+                        continue;
+                    }
+                    const adjusted = Math.min(1, test.p * pairCount);
+                    this.comparisons.push({
+                        statistic: statistic,
+                        test: 'welch-t',
+                        comparison: `${categories[i]} vs ${categories[j]}`,
+                        statistic_value: test.t,
+                        df1: test.df,
+                        df2: '',
+                        p: test.p,
+                        p_adjusted: adjusted,
+                        significant: adjusted < alpha,
+                        note: `Bonferroni x${pairCount}`
+                    });
+                }
+            }
+        });
+
+        console.log('Category comparisons of image statistics:', this.comparisons);
+        return this.comparisons;
+    }
+
+    /**
+     * Mean and SD of every statistic per category (for the experimenter view)
+     */
+    getCategorySummary() {
+        const categories = [...new Set(this.results.map(row => row.category))];
+        return categories.map(category => {
+            const rows = this.results.filter(row => row.category === category);
+            const summary = { category: category, n: rows.length };
+            IMAGE_STATISTICS.forEach(statistic => {
+                const values = rows.map(row => row[statistic]);
+                summary[statistic] = { mean: this.mean(values), sd: Math.sqrt(this.variance(values)) };
+            });
+            return summary;
+        });
+    }
+
+    mean(values) {
+        return values.reduce((sum, value) => sum + value, 0) / values.length;
+    }
+
+    /**
+     * Sample variance (n - 1)
+     */
+    variance(values) {
+        if (values.length < 2) {
+            return 0;
+        }
+        const mean = this.mean(values);
+        return values.reduce((sum, value) => sum + (value - mean) ** 2, 0) / (values.length - 1);
+    }
+
+    /**
+     * Welch's one-way ANOVA; null if any group has < 2 values or zero variance
+     */
+    welchANOVA(groups) {
+        const k = groups.length;
+        if (k < 2 || groups.some(group => group.length < 2 || this.variance(group) === 0)) {
+            return null;
+        }
+
+        const weights = groups.map(group => group.length / this.variance(group));
+        const weightSum = weights.reduce((sum, weight) => sum + weight, 0);
+        const means = groups.map(group => this.mean(group));
+        const grandMean = weights.reduce((sum, weight, i) => sum + weight * means[i], 0) / weightSum;
+
+        const between = weights.reduce((sum, weight, i) => sum + weight * (means[i] - grandMean) ** 2, 0) / (k - 1);
+        const lambda = weights.reduce((sum, weight, i) => sum + (1 - weight / weightSum) ** 2 / (groups[i].length - 1), 0);
+        const F = between / (1 + 2 * (k - 2) * lambda / (k * k - 1));
+        const df1 = k - 1;
+        const df2 = (k * k - 1) / (3 * lambda);
+
+        return { F: F, df1: df1, df2: df2, p: this.fDistributionUpperTail(F, df1, df2) };
+    }
+
+    /**
+     * Two-sided Welch t-test; null if either group has < 2 values or both have zero variance
+     */
+    welchTTest(a, b) {
+        if (a.length < 2 || b.length < 2) {
+            return null;
+        }
+        const va = this.variance(a) / a.length;
+        const vb = this.variance(b) / b.length;
+        if (va + vb === 0) {
+            return null;
+        }
+        const t = (this.mean(a) - this.mean(b)) / Math.sqrt(va + vb);
+        const df = (va + vb) ** 2 / (va * va / (a.length - 1) + vb * vb / (b.length - 1));
+        return { t: t, df: df, p: this.regularizedIncompleteBeta(df / (df + t * t), df / 2, 0.5) };
+    }
+
+    /**
+     * P(F > f) for an F(df1, df2) distribution
+     */
+    fDistributionUpperTail(f, df1, df2) {
+        if (f <= 0) {
+            return 1;
+        }
+        return this.regularizedIncompleteBeta(df2 / (df2 + df1 * f), df2 / 2, df1 / 2);
+    }
+
+    /**
+     * Regularized incomplete beta function I_x(a, b) (continued fraction, Numerical Recipes)
+     */
+    regularizedIncompleteBeta(x, a, b) {
+        if (x <= 0) {
+            return 0;
+        }
+        if (x >= 1) {
+            return 1;
+        }
+        const front = Math.exp(this.logGamma(a + b) - this.logGamma(a) - this.logGamma(b) +
+            a * Math.log(x) + b * Math.log(1 - x));
+        if (x < (a + 1) / (a + b + 2)) {
+            return front * this.betaContinuedFraction(x, a, b) / a;
+        }
+        return 1 - front * this.betaContinuedFraction(1 - x, b, a) / b;
+    }
+
+    betaContinuedFraction(x, a, b) {
+        const tiny = 1e-300;
+        let c = 1;
+        let d = 1 - (a + b) * x / (a + 1);
+        d = 1 / (Math.abs(d) < tiny ? tiny : d);
+        let result = d;
+
+        for (let m = 1; m <= 300; m++) {
+            const m2 = 2 * m;
+            let term = m * (b - m) * x / ((a + m2 - 1) * (a + m2));
+            d = 1 + term * d;
+            d = 1 / (Math.abs(d) < tiny ? tiny : d);
+            c = 1 + term / c;
+            c = Math.abs(c) < tiny ? tiny : c;
+            result *= d * c;
+
+            term = -(a + m) * (a + b + m) * x / ((a + m2) * (a + m2 + 1));
+            d = 1 + term * d;
+            d = 1 / (Math.abs(d) < tiny ? tiny : d);
+            c = 1 + term / c;
+            c = Math.abs(c) < tiny ? tiny : c;
+            const delta = d * c;
+            result *= delta;
+            if (Math.abs(delta - 1) < 1e-12) {
+                break;
+            }
+        }
+        return result;
+    }
+
+    /**
+     * ln Γ(x) (Lanczos approximation)
+     */
+    logGamma(x) {
+        const coefficients = [76.18009172947146, -86.50532032941677, 24.01409824083091,
+            -1.231739572450155, 0.1208650973866179e-2, -0.5395239384953e-5];
+        let y = x;
+        const tmp = x + 5.5 - (x + 0.5) * Math.log(x + 5.5);
+        let series = 1.000000000190015;
+        coefficients.forEach(coefficient => {
+            series += coefficient / ++y;
+        });
+        return -tmp + Math.log(2.5066282746310005 * series / x);
+    }
+
+    getFileStem(prefix) {
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        return `${prefix}_${timestamp}`;
+    }
+
+    /**
+     * Download the per-stimulus statistics as CSV
+     */
+    exportStatisticsCSV() {
+        const columns = ['image', 'category', 'width', 'height', ...IMAGE_STATISTICS];
+        const rows = this.results.map(row => columns.map(column => this.formatCSVValue(row[column])).join(','));
+        const filename = `${this.getFileStem('image_statistics')}.csv`;
+        this.dataManager.downloadCSV([columns.join(','), ...rows].join('\n'), filename);
+        console.log(`Image statistics exported: ${filename}`);
+    }
+
+    /**
+     * Download the category comparisons as CSV
+     */
+    exportComparisonsCSV() {
+        const columns = ['statistic', 'test', 'comparison', 'statistic_value', 'df1', 'df2', 'p', 'p_adjusted', 'significant', 'note'];
+        const rows = this.comparisons.map(row => columns.map(column => this.formatCSVValue(row[column])).join(','));
+        const filename = `${this.getFileStem('image_statistics_comparisons')}.csv`;
+        this.dataManager.downloadCSV([columns.join(','), ...rows].join('\n'), filename);
+        console.log(`Image statistics comparisons exported: ${filename}`);
+    }
+
+    /**
+     * Download the loaded stimulus manifest with measured luminance filled in
+     * (see ImageManager.loadStimulusManifest)
+     */
+    exportManifestWithLuminance() {
+        const images = {};
+        Object.entries(this.imageManager.stimulusManifest).forEach(([image, metadata]) => {
+            images[image] = { ...metadata };
+        });
+        this.results.forEach(row => {
+            images[row.image] = { ...(images[row.image] || {}), luminance: Math.round(row.mean_luminance * 10) / 10 };
+        });
+
+        const manifest = {
+            manifestVersion: 1,
+            fields: this.imageManager.metadataFields,
+            images: images
+        };
+        const blob = new Blob([JSON.stringify(manifest, null, 2)], { type: 'application/json' });
+        this.dataManager.downloadBlob(blob, 'stimulus-manifest.json');
+        console.log('Stimulus manifest with measured luminance exported');
+    }
+
+    formatCSVValue(value) {
+        if (value === null || value === undefined) {
+            return '';
+        }
+        if (typeof value === 'number') {
+            return Number.isInteger(value) ? String(value) : value.toFixed(6);
+        }
+        const text = String(value);
+        return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ImageStatistics;
+} else if (typeof window !== 'undefined') {
+    window.ImageStatistics = ImageStatistics;
+}
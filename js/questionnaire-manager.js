@@ -0,0 +1,253 @@
+/**
+ * QuestionnaireManager - Self-report questionnaires from JSON definitions
+ *
+ * Standardized (data/questionnaires/phq-9.json, gad-7.json) and custom Likert-type
+ * questionnaires are defined in JSON files and administered at the placements set in
+ * the experiment config (questionnaires.forms): before Round 1 ('start'), after a round
+ * ('after_round_<n>') or after the last round ('end'). Subscale scores are computed
+ * from the responses and stored with them, one record per administered questionnaire.
+ *
+ * Definition file:
+ *   { id, name, version, instructions,
+ *     options: [{ value, label }],                  // response scale of every item
+ *     items: [{ id, text, options?, reverse?, required? }],
+ *     subscales: { <name>: { items: [item ids], method: 'sum' | 'mean',
+ *                            bands?: [{ min, label }] } } }
+ *
+ * Reverse-scored items count as (lowest + highest option value - response).
+ */
+
+const QUESTIONNAIRE_SCORING_METHODS = ['sum', 'mean'];
+
+class QuestionnaireManager {
+    constructor() {
+        this.forms = [];           // { file, placement } from the experiment config
+        this.definitions = {};     // Validated definitions by file
+    }
+
+    /**
+     * Load and validate the definition file of every configured questionnaire.
+     * Throws an Error listing every problem found.
+     */
+    async loadDefinitions(forms) {
+        this.forms = forms;
+        this.definitions = {};
+
+        const files = [...new Set(forms.map(form => form.file))];
+        for (const file of files) {
+            console.log(`Loading questionnaire from ${file}...`);
+            const response = await fetch(file);
+            if (!response.ok) {
+                throw new Error(`Could not load ${file} (HTTP ${response.status})`);
+            }
+
+            let definition;
+            try {
+                definition = await response.json();
+            } catch (error) {
+                throw new Error(`${file} is not valid JSON: ${error.message}`);
+            }
+
+            const errors = this.validateDefinition(definition);
+            if (errors.length > 0) {
+                throw new Error(`Invalid questionnaire (${file}):\n- ${errors.join('\n- ')}`);
+            }
+            this.definitions[file] = definition;
+        }
+
+        // Questionnaire IDs prefix the exported columns, so two files may not share one
+        const fileOfId = {};
+        Object.entries(this.definitions).forEach(([file, definition]) => {
+            if (fileOfId[definition.id]) {
+                throw new Error(`Questionnaires ${fileOfId[definition.id]} and ${file} both have the id "${definition.id}"`);
+            }
+            fileOfId[definition.id] = file;
+        });
+
+        if (files.length > 0) {
+            console.log(`Questionnaires: ${forms.map(form => `${this.definitions[form.file].id} (${form.placement})`).join(', ')}`);
+        }
+    }
+
+    /**
+     * Check a questionnaire definition; returns a list of human-readable errors
+     */
+    validateDefinition(definition) {
+        const errors = [];
+        const isPlainObject = value => value !== null && typeof value === 'object' && !Array.isArray(value);
+        const validateOptions = (options, path) => {
+            if (!Array.isArray(options) || options.length < 2 ||
+                options.some(option => !isPlainObject(option) || typeof option.value !== 'number' || !isFinite(option.value) ||
+                    typeof option.label !== 'string' || !option.label.trim())) {
+                errors.push(`${path} must be a list of at least two { "value": number, "label": text } options`);
+            } else if (new Set(options.map(option => option.value)).size !== options.length) {
+                errors.push(`${path} must not repeat an option value`);
+            }
+        };
+
+        if (!isPlainObject(definition)) {
+            return ['the file must contain a questionnaire object'];
+        }
+        if (typeof definition.id !== 'string' || !/^[A-Za-z][A-Za-z0-9_]*$/.test(definition.id)) {
+            errors.push(`id must start with a letter and contain only letters, digits and "_" (got ${definition.id})`);
+        }
+        if (typeof definition.name !== 'string' || !definition.name.trim()) {
+            errors.push('name must be a non-empty string');
+        }
+        if (definition.instructions !== undefined && typeof definition.instructions !== 'string') {
+            errors.push('instructions must be a string');
+        }
+        if (definition.options !== undefined) {
+            validateOptions(definition.options, 'options');
+        }
+
+        if (!Array.isArray(definition.items) || definition.items.length === 0) {
+            errors.push('items must be a non-empty list');
+            return errors;
+        }
+        const itemIds = new Set();
+        definition.items.forEach((item, index) => {
+            if (!isPlainObject(item) || typeof item.id !== 'string' || !/^[A-Za-z0-9_]+$/.test(item.id)) {
+                errors.push(`items[${index}].id must be a string of letters, digits and "_"`);
+                return;
+            }
+            if (itemIds.has(item.id)) {
+                errors.push(`items[${index}].id "${item.id}" is used by another item`);
+            }
+            itemIds.add(item.id);
+            if (typeof item.text !== 'string' || !item.text.trim()) {
+                errors.push(`items.${item.id}.text must be a non-empty string`);
+            }
+            if (item.options !== undefined) {
+                validateOptions(item.options, `items.${item.id}.options`);
+            } else if (definition.options === undefined) {
+                errors.push(`items.${item.id} has no options and the questionnaire has no shared options`);
+            }
+            ['reverse', 'required'].forEach(flag => {
+                if (item[flag] !== undefined && typeof item[flag] !== 'boolean') {
+                    errors.push(`items.${item.id}.${flag} must be true or false`);
+                }
+            });
+        });
+
+        const subscales = definition.subscales || {};
+        if (!isPlainObject(subscales)) {
+            errors.push('subscales must map each subscale name to its items and scoring method');
+            return errors;
+        }
+        Object.entries(subscales).forEach(([name, subscale]) => {
+            if (!/^[A-Za-z0-9_]+$/.test(name)) {
+                errors.push(`"${name}" is not a valid subscale name (letters, digits and "_")`);
+            }
+            if (!isPlainObject(subscale) || !Array.isArray(subscale.items) || subscale.items.length === 0) {
+                errors.push(`subscales.${name}.items must be a non-empty list of item ids`);
+                return;
+            }
+            subscale.items.filter(id => !itemIds.has(id)).forEach(id => {
+                errors.push(`subscales.${name}.items: ${id} is not an item of this questionnaire`);
+            });
+            if (!QUESTIONNAIRE_SCORING_METHODS.includes(subscale.method)) {
+                errors.push(`subscales.${name}.method must be one of: ${QUESTIONNAIRE_SCORING_METHODS.join(', ')} (got ${subscale.method})`);
+            }
+            if (subscale.bands !== undefined && (!Array.isArray(subscale.bands) || subscale.bands.length === 0 ||
+                subscale.bands.some(band => !isPlainObject(band) || typeof band.min !== 'number' || typeof band.label !== 'string'))) {
+                errors.push(`subscales.${name}.bands must be a list of { "min": number, "label": text } score bands`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Definitions of the questionnaires administered at a placement, in config order
+     */
+    getQuestionnaires(placement) {
+        return this.forms
+            .filter(form => form.placement === placement)
+            .map(form => this.definitions[form.file]);
+    }
+
+    getItemOptions(definition, item) {
+        return item.options || definition.options;
+    }
+
+    isItemRequired(item) {
+        return item.required !== false;
+    }
+
+    /**
+     * Score every subscale. responses maps item ids to the chosen option values. A
+     * subscale with an unanswered item has an empty score; otherwise its band is the
+     * last band whose min the score reaches.
+     */
+    scoreSubscales(definition, responses) {
+        const itemsById = Object.fromEntries(definition.items.map(item => [item.id, item]));
+        const scores = {};
+
+        Object.entries(definition.subscales || {}).forEach(([name, subscale]) => {
+            if (subscale.items.some(id => responses[id] === undefined)) {
+                scores[name] = { score: '', band: '' };
+                return;
+            }
+
+            const values = subscale.items.map(id => {
+                const item = itemsById[id];
+                if (!item.reverse) {
+                    return responses[id];
+                }
+                const optionValues = this.getItemOptions(definition, item).map(option => option.value);
+                return Math.min(...optionValues) + Math.max(...optionValues) - responses[id];
+            });
+            const total = values.reduce((sum, value) => sum + value, 0);
+            const score = subscale.method === 'mean' ? total / values.length : total;
+
+            const bands = [...(subscale.bands || [])].sort((a, b) => a.min - b.min);
+            const band = bands.filter(candidate => score >= candidate.min).pop();
+            scores[name] = {
+                score: subscale.method === 'mean' ? score.toFixed(3) : String(score),
+                band: band ? band.label : ''
+            };
+        });
+
+        return scores;
+    }
+
+    /**
+     * One record per administered questionnaire: identification and timing, then
+     * {id}_{item} responses and response times and {id}_{subscale} scores (with
+     * {id}_{subscale}_band when the subscale defines bands)
+     */
+    buildRecord(definition, placement, responses, timing) {
+        const record = {
+            questionnaire_id: definition.id,
+            questionnaire_name: definition.name,
+            questionnaire_version: definition.version || '',
+            placement: placement,
+            started_at: timing.startedAt,
+            duration_ms: timing.duration.toFixed(1)
+        };
+
+        definition.items.forEach(item => {
+            const response = responses[item.id];
+            record[`${definition.id}_${item.id}`] = response ? String(response.value) : '';
+            record[`${definition.id}_${item.id}_rt_ms`] = response ? response.rt.toFixed(1) : '';
+        });
+
+        const values = Object.fromEntries(Object.entries(responses).map(([id, response]) => [id, response.value]));
+        Object.entries(this.scoreSubscales(definition, values)).forEach(([name, { score, band }]) => {
+            record[`${definition.id}_${name}`] = score;
+            if (definition.subscales[name].bands) {
+                record[`${definition.id}_${name}_band`] = band;
+            }
+        });
+
+        return record;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = QuestionnaireManager;
+} else if (typeof window !== 'undefined') {
+    window.QuestionnaireManager = QuestionnaireManager;
+}
@@ -0,0 +1,207 @@
+/**
+ * RecognitionManager - End-of-session surprise recognition memory test
+ *
+ * After the last round the participant sees a shuffled mix of images shown during
+ * the session (old items) and images never shown (foils), judges each as old or new
+ * and, optionally, rates their confidence. Old items are drawn per category from the
+ * images shown on completed trials; foils come from what is left of the session's
+ * image pools (ImageManager.availableImages), leaving out images the participant saw
+ * in earlier sessions.
+ *
+ * Test item: { image, category, item_type: 'old' | 'foil', trial_idx, round_number,
+ *              slot, position, dwell_time_ms }  (trial fields are '' for foils)
+ */
+
+// Confidence ratings after each old/new judgment (value → label)
+const RECOGNITION_CONFIDENCE_LEVELS = {
+    1: 'Guessing',
+    2: 'Fairly sure',
+    3: 'Very sure'
+};
+
+class RecognitionManager {
+    constructor(imageManager, dataManager, random) {
+        this.imageManager = imageManager;
+        this.dataManager = dataManager;
+        this.random = random;
+        this.items = [];
+        this.responses = [];
+    }
+
+    /**
+     * Images shown on completed trials, by category, with the trial they were shown
+     * on and their dwell time
+     */
+    getSeenImages(usedImages) {
+        const seen = {};
+        this.dataManager.trialData
+            .filter(record => record.trial_status !== 'interrupted')
+            .forEach(record => {
+                this.dataManager.imageSlots.forEach(({ category, label, column }) => {
+                    const image = record[column];
+                    if (!image || !usedImages.has(`images/${image}`)) {
+                        return;
+                    }
+                    seen[category] = seen[category] || [];
+                    seen[category].push({
+                        image: image,
+                        category: category,
+                        item_type: 'old',
+                        trial_idx: record.trial_idx,
+                        round_number: record.round_number,
+                        slot: label,
+                        position: record[`position_${label}`],
+                        dwell_time_ms: String(record[`time_on_${label}`] || 0)
+                    });
+                });
+            });
+        return seen;
+    }
+
+    /**
+     * Images of a category that can serve as foils: left in the session's pool, not
+     * shown in this session and not seen in earlier sessions
+     */
+    getFoilCandidates(category, usedImages) {
+        const priorImages = this.imageManager.priorImages;
+        return (this.imageManager.availableImages[category] || [])
+            .filter(image => !usedImages.has(`images/${image}`) && !priorImages.has(image));
+    }
+
+    /**
+     * Categories (of those the session shows) with fewer foil candidates than
+     * foilsPerCategory. Returns one message per short category.
+     */
+    getFoilShortfalls(usedImages, foilsPerCategory, categories) {
+        return categories
+            .map(category => [category, this.getFoilCandidates(category, usedImages).length])
+            .filter(([, available]) => available < foilsPerCategory)
+            .map(([category, available]) => `the recognition test needs ${foilsPerCategory} ${category} foils but only ${available} ${category} images are left unshown`);
+    }
+
+    /**
+     * Draw the test items: up to oldPerCategory seen images and foilsPerCategory
+     * unseen images of every category that was shown, in a shuffled order.
+     * Categories with fewer images than requested are tested with what there is.
+     */
+    buildTestItems(usedImages, oldPerCategory, foilsPerCategory) {
+        const seen = this.getSeenImages(usedImages);
+        const items = [];
+
+        Object.keys(seen).forEach(category => {
+            const oldItems = this.random.shuffle([...seen[category]]).slice(0, oldPerCategory);
+            const foilImages = this.getFoilCandidates(category, usedImages).slice(0, foilsPerCategory);
+
+            if (oldItems.length < oldPerCategory || foilImages.length < foilsPerCategory) {
+                console.warn(`Recognition test: ${category} has ${oldItems.length} of ${oldPerCategory} old items and ${foilImages.length} of ${foilsPerCategory} foils`);
+            }
+
+            items.push(...oldItems);
+            foilImages.forEach(image => {
+                items.push({
+                    image: image,
+                    category: category,
+                    item_type: 'foil',
+                    trial_idx: '',
+                    round_number: '',
+                    slot: '',
+                    position: '',
+                    dwell_time_ms: ''
+                });
+            });
+        });
+
+        this.items = this.random.shuffle(items);
+        this.responses = [];
+        console.log(`Recognition test: ${this.items.length} items (${this.items.filter(item => item.item_type === 'old').length} old)`);
+        return this.items;
+    }
+
+    /**
+     * Record the judgment of one item. response is 'old' or 'new'; confidence is a
+     * RECOGNITION_CONFIDENCE_LEVELS value or null; times are in ms from item onset.
+     */
+    recordResponse(item, response, responseTime, confidence = null, confidenceTime = null) {
+        const correct = (item.item_type === 'old') === (response === 'old');
+        const row = {
+            test_idx: this.responses.length + 1,
+            image: item.image,
+            category: item.category,
+            item_type: item.item_type,
+            response: response,
+            correct: correct ? '1' : '0',
+            response_rt_ms: responseTime.toFixed(1),
+            confidence: confidence === null ? '' : String(confidence),
+            confidence_rt_ms: confidenceTime === null ? '' : confidenceTime.toFixed(1),
+            // Where and for how long an old item was viewed during the session
+            trial_idx: item.trial_idx,
+            round_number: item.round_number,
+            slot: item.slot,
+            position: item.position,
+            dwell_time_ms: item.dwell_time_ms
+        };
+        this.responses.push(row);
+        return row;
+    }
+
+    /**
+     * Hit rate (old items judged old) and false alarm rate (foils judged old) per
+     * category. Rates are '' when a category has no old items or no foils.
+     */
+    getCategorySummary() {
+        const categories = [...new Set(this.responses.map(row => row.category))];
+        return categories.map(category => {
+            const rows = this.responses.filter(row => row.category === category);
+            const oldRows = rows.filter(row => row.item_type === 'old');
+            const foilRows = rows.filter(row => row.item_type === 'foil');
+            const hits = oldRows.filter(row => row.response === 'old').length;
+            const falseAlarms = foilRows.filter(row => row.response === 'old').length;
+            return {
+                category: category,
+                old_items: String(oldRows.length),
+                foils: String(foilRows.length),
+                hits: String(hits),
+                false_alarms: String(falseAlarms),
+                hit_rate: oldRows.length > 0 ? (hits / oldRows.length).toFixed(3) : '',
+                false_alarm_rate: foilRows.length > 0 ? (falseAlarms / foilRows.length).toFixed(3) : ''
+            };
+        });
+    }
+
+    formatCSV(rows) {
+        const fieldNames = Object.keys(rows[0]);
+        const csvRows = rows.map(row => fieldNames.map(field => {
+            const value = row[field];
+            if (typeof value === 'string' && value.includes(',')) {
+                return `"${value}"`;
+            }
+            return value === undefined || value === null ? '' : value;
+        }).join(','));
+        return [fieldNames.join(','), ...csvRows].join('\n');
+    }
+
+    /**
+     * Export the item-level responses and the per-category summary as two CSV files
+     */
+    exportResults() {
+        if (this.responses.length === 0) {
+            console.warn('No recognition test responses to export');
+            return;
+        }
+
+        const participantData = this.dataManager.participantData;
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        const stem = `ppt${participantData.participant_id}_s${participantData.session}_${timestamp}`;
+
+        this.dataManager.downloadCSV(this.formatCSV(this.responses), `recognition_items_${stem}.csv`);
+        this.dataManager.downloadCSV(this.formatCSV(this.getCategorySummary()), `recognition_summary_${stem}.csv`);
+        console.log(`Recognition test exported: recognition_items_${stem}.csv, recognition_summary_${stem}.csv`);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = RecognitionManager;
+} else if (typeof window !== 'undefined') {
+    window.RecognitionManager = RecognitionManager;
+}
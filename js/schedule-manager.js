@@ -0,0 +1,573 @@
+/**
+ * ScheduleManager - Builds, exports and imports the full-session trial schedule
+ *
+ * The schedule fixes every trial of every round before the session starts: trial
+ * type, the images shown and the position each image occupies. Generated schedules
+ * are drawn with the shared seeded PRNG; a schedule exported from this class (JSON
+ * or CSV) can be imported again to run a predetermined, pre-registered sequence.
+ *
+ * Schedule JSON:
+ *   { format, format_version, source, created_at, participant_id, session,
+ *     random_seed, config_name, config_version, total_rounds, list_order, trials: [
+ *       { trial_idx, round_number, round_trial_idx, trial_type, position_assignment,
+ *         position_plan_block, position_plan_row, stimulus_list, target_position,
+ *         images: [{ slot, image, position }] } ] }
+ *
+ * Attention-check trials have no images; target_position is where their target
+ * appears ('' on every other trial).
+ *
+ * Schedule CSV: one row per displayed image (see SCHEDULE_CSV_COLUMNS, plus the
+ * optional stimulus_list and random_seed columns). An attention-check trial has one
+ * row with slot ATTENTION_TARGET_SLOT, no image and the target position.
+ */
+
+const SCHEDULE_FORMAT = 'free-viewing-schedule';
+const SCHEDULE_FORMAT_VERSION = 1;
+
+const SCHEDULE_CSV_COLUMNS = [
+    'trial_idx',
+    'round_number',
+    'round_trial_idx',
+    'trial_type',
+    'slot',
+    'image',
+    'position',
+    'position_assignment',
+    'position_plan_block',
+    'position_plan_row'
+];
+
+const ATTENTION_TARGET_SLOT = 'target';
+
+class ScheduleManager {
+    constructor(imageManager, dataManager) {
+        this.imageManager = imageManager;
+        this.dataManager = dataManager;
+        this.schedule = null;
+        this.scheduleFile = '';
+    }
+
+    /**
+     * Generate the whole session up front. generatePattern(roundNumber) returns one
+     * round's trial-type order; images come from the ImageManager pools and are
+     * added to usedImages exactly as lazy selection did.
+     */
+    generateSchedule(totalRounds, generatePattern, usedImages) {
+        console.log(`=== Generating trial schedule for ${totalRounds} rounds ===`);
+
+        const trials = [];
+        for (let roundNumber = 1; roundNumber <= totalRounds; roundNumber++) {
+            const pattern = generatePattern(roundNumber);
+            console.log(`Trial pattern for Round ${roundNumber}:`, pattern);
+
+            // Each round gets its own counterbalanced quadrant plans
+            const trialCounts = {};
+            pattern.forEach(trialType => {
+                trialCounts[trialType] = (trialCounts[trialType] || 0) + 1;
+            });
+            this.imageManager.preparePositionPlans(trialCounts);
+
+            // ...and its own subcategory-balanced share of each image pool (or of its stimulus list)
+            const stimulusList = this.imageManager.getRoundList(roundNumber);
+            this.imageManager.prepareRoundSelection(this.countCategoryNeeds(pattern), totalRounds - roundNumber + 1, stimulusList);
+
+            pattern.forEach((trialType, index) => {
+                const imageData = this.imageManager.selectImagesForTrial(trialType, usedImages);
+                imageData.stimulusList = stimulusList;
+                trials.push(this.createTrialEntry(trials.length + 1, roundNumber, index + 1, trialType, imageData));
+            });
+        }
+        this.imageManager.clearRoundSelection();
+
+        this.schedule = this.createSchedule('generated', totalRounds, trials);
+        this.scheduleFile = '';
+
+        console.log(`Trial schedule generated: ${trials.length} trials`);
+        return this.schedule;
+    }
+
+    /**
+     * Parse and validate an exported schedule (JSON or CSV text), then reserve its
+     * images so nothing else in the session can draw them.
+     * Throws an Error listing every problem if the schedule cannot be run.
+     */
+    importSchedule(text, fileName, totalRounds, usedImages) {
+        console.log(`=== Importing trial schedule from ${fileName} ===`);
+
+        const isJSON = /\.json$/i.test(fileName) || text.trim().startsWith('{');
+        const imported = isJSON ? this.parseScheduleJSON(text, fileName) : this.parseScheduleCSV(text, fileName);
+
+        const errors = this.validateSchedule(imported.trials, totalRounds);
+        if (errors.length > 0) {
+            throw new Error(`Invalid trial schedule (${fileName}):\n- ${errors.join('\n- ')}`);
+        }
+
+        imported.trials.forEach(trial => {
+            const slotCategories = this.getSlotCategories(trial.trial_type);
+            trial.images.forEach(entry => {
+                this.imageManager.reserveImage(slotCategories[entry.slot], entry.image, usedImages);
+            });
+        });
+
+        this.schedule = this.createSchedule('imported', totalRounds, imported.trials);
+        this.schedule.imported_from = {
+            random_seed: imported.random_seed === undefined ? '' : imported.random_seed,
+            participant_id: imported.participant_id || '',
+            session: imported.session || ''
+        };
+        this.scheduleFile = fileName;
+
+        console.log(`Trial schedule imported: ${imported.trials.length} trials from ${fileName}`);
+        return this.schedule;
+    }
+
+    /**
+     * Draw fresh images for a trial that has to be run again (e.g. after a pause).
+     * Slots keep their positions and images come from the trial's stimulus list if it
+     * has one. Returns the new trial entry, or null if the pools cannot supply it.
+     */
+    createReplacementTrial(trial, usedImages) {
+        const needs = this.countCategoryNeeds([trial.trial_type]);
+        const slotCategories = this.getSlotCategories(trial.trial_type);
+        const matching = Object.keys(this.imageManager.withinTrialMatching).length > 0;
+
+        try {
+            // Throws if the stimulus list or subcategory balancing cannot supply the trial
+            this.imageManager.prepareRoundSelection(needs, 1, trial.stimulus_list || '');
+            const pools = this.imageManager.roundPools || this.imageManager.availableImages;
+            const shortfalls = Object.entries(needs)
+                .filter(([category, need]) => pools[category].filter(image => !usedImages.has(`images/${image}`)).length < need)
+                .map(([category]) => category);
+            if (shortfalls.length > 0) {
+                console.warn(`No fresh ${shortfalls.join(', ')} images left to replace trial ${trial.trial_idx}`);
+                return null;
+            }
+
+            const trialImages = [];
+            const images = trial.images.map(entry => {
+                const category = slotCategories[entry.slot];
+                const image = (matching && this.imageManager.takeImage(category, usedImages, candidate =>
+                    this.imageManager.isWithinMatchingRange(candidate, trialImages))) ||
+                    this.imageManager.takeImage(category, usedImages);
+                trialImages.push(image);
+                return { slot: entry.slot, image: image, position: entry.position };
+            });
+
+            console.log(`Trial ${trial.trial_idx} replaced with fresh images:`, trialImages);
+            return { ...trial, images: images };
+        } catch (error) {
+            console.warn(`Could not replace trial ${trial.trial_idx}: ${error.message}`);
+            return null;
+        } finally {
+            this.imageManager.clearRoundSelection();
+        }
+    }
+
+    /**
+     * Reinstate the schedule of a resumed session and reserve its images
+     */
+    restoreSchedule(schedule, scheduleFile, usedImages) {
+        schedule.trials.forEach(trial => {
+            const slotCategories = this.getSlotCategories(trial.trial_type);
+            trial.images.forEach(entry => {
+                this.imageManager.reserveImage(slotCategories[entry.slot], entry.image, usedImages);
+            });
+        });
+        this.schedule = schedule;
+        this.scheduleFile = scheduleFile;
+        console.log(`Trial schedule restored: ${schedule.trials.length} trials`);
+        return this.schedule;
+    }
+
+    parseScheduleJSON(text, fileName) {
+        let data;
+        try {
+            data = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`${fileName} is not valid JSON: ${error.message}`);
+        }
+
+        if (data.format !== SCHEDULE_FORMAT) {
+            throw new Error(`${fileName} is not a trial schedule (format must be "${SCHEDULE_FORMAT}")`);
+        }
+        if (data.format_version !== SCHEDULE_FORMAT_VERSION) {
+            throw new Error(`${fileName} uses schedule format version ${data.format_version}; only version ${SCHEDULE_FORMAT_VERSION} is supported`);
+        }
+        if (!Array.isArray(data.trials)) {
+            throw new Error(`${fileName} has no trials list`);
+        }
+
+        data.trials = data.trials.map(trial => ({
+            trial_idx: Number(trial.trial_idx),
+            round_number: Number(trial.round_number),
+            round_trial_idx: Number(trial.round_trial_idx),
+            trial_type: trial.trial_type,
+            position_assignment: trial.position_assignment || 'random',
+            position_plan_block: trial.position_plan_block || '',
+            position_plan_row: trial.position_plan_row || '',
+            stimulus_list: trial.stimulus_list || '',
+            target_position: trial.target_position || '',
+            images: Array.isArray(trial.images) ? trial.images.filter(entry => entry && typeof entry === 'object') : []
+        }));
+        return data;
+    }
+
+    /**
+     * Rebuild trials from the long CSV format (rows of one trial share trial_idx)
+     */
+    parseScheduleCSV(text, fileName) {
+        const rows = this.parseCSV(text);
+        if (rows.length < 2) {
+            throw new Error(`${fileName} has no schedule rows`);
+        }
+
+        const header = rows[0].map(column => column.trim());
+        const missing = SCHEDULE_CSV_COLUMNS.filter(column => !header.includes(column));
+        if (missing.length > 0) {
+            throw new Error(`${fileName} is missing schedule columns: ${missing.join(', ')}`);
+        }
+
+        const trialsByIndex = new Map();
+        rows.slice(1).forEach(values => {
+            const row = {};
+            header.forEach((column, index) => {
+                row[column] = (values[index] || '').trim();
+            });
+
+            const trialIdx = Number(row.trial_idx);
+            if (!trialsByIndex.has(trialIdx)) {
+                trialsByIndex.set(trialIdx, {
+                    trial_idx: trialIdx,
+                    round_number: Number(row.round_number),
+                    round_trial_idx: Number(row.round_trial_idx),
+                    trial_type: row.trial_type,
+                    position_assignment: row.position_assignment || 'random',
+                    position_plan_block: row.position_plan_block ? Number(row.position_plan_block) : '',
+                    position_plan_row: row.position_plan_row ? Number(row.position_plan_row) : '',
+                    stimulus_list: row.stimulus_list || '',
+                    target_position: '',
+                    images: []
+                });
+            }
+            if (this.imageManager.isAttentionCheckTrialType(row.trial_type) && row.slot === ATTENTION_TARGET_SLOT) {
+                trialsByIndex.get(trialIdx).target_position = row.position;
+                return;
+            }
+            trialsByIndex.get(trialIdx).images.push({
+                slot: row.slot,
+                image: row.image,
+                position: row.position
+            });
+        });
+
+        return {
+            random_seed: header.includes('random_seed') ? (rows[1][header.indexOf('random_seed')] || '').trim() : undefined,
+            trials: [...trialsByIndex.values()].sort((a, b) => a.trial_idx - b.trial_idx)
+        };
+    }
+
+    /**
+     * Minimal RFC 4180 CSV parser (quoted fields, doubled quotes, CRLF); skips blank lines
+     */
+    parseCSV(text) {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let inQuotes = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (inQuotes) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    inQuotes = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"') {
+                inQuotes = true;
+            } else if (char === ',') {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') {
+                    i++;
+                }
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        row.push(field);
+        rows.push(row);
+
+        return rows.filter(values => values.some(value => value.trim() !== ''));
+    }
+
+    /**
+     * Check that a schedule can be run with the loaded stimuli and configuration.
+     * Returns a list of human-readable errors.
+     */
+    validateSchedule(trials, totalRounds) {
+        const errors = [];
+        const seenImages = new Map();
+
+        if (trials.length === 0) {
+            return ['the schedule contains no trials'];
+        }
+
+        const scheduleRounds = Math.max(...trials.map(trial => trial.round_number));
+        if (Number.isInteger(scheduleRounds) && scheduleRounds !== totalRounds) {
+            return [`the schedule has ${scheduleRounds} rounds but the experiment config has ${totalRounds}`];
+        }
+        const roundsPresent = new Set(trials.map(trial => trial.round_number));
+        for (let roundNumber = 1; roundNumber <= totalRounds; roundNumber++) {
+            if (!roundsPresent.has(roundNumber)) {
+                errors.push(`round ${roundNumber} has no trials`);
+            }
+        }
+
+        let previousRound = 1;
+        let expectedRoundTrial = 1;
+        trials.forEach((trial, index) => {
+            const label = `trial ${index + 1}`;
+
+            if (trial.trial_idx !== index + 1) {
+                errors.push(`${label}: trial_idx is ${trial.trial_idx}, expected ${index + 1}`);
+            }
+            if (!Number.isInteger(trial.round_number) || trial.round_number < 1 || trial.round_number > totalRounds) {
+                errors.push(`${label}: round_number must be between 1 and ${totalRounds} (got ${trial.round_number})`);
+            } else if (trial.round_number < previousRound) {
+                errors.push(`${label}: rounds must be in order (round ${trial.round_number} after round ${previousRound})`);
+            } else {
+                if (trial.round_number !== previousRound) {
+                    previousRound = trial.round_number;
+                    expectedRoundTrial = 1;
+                }
+                if (trial.round_trial_idx !== expectedRoundTrial) {
+                    errors.push(`${label}: round_trial_idx is ${trial.round_trial_idx}, expected ${expectedRoundTrial}`);
+                }
+                expectedRoundTrial++;
+            }
+
+            let slotCategories;
+            try {
+                slotCategories = this.getSlotCategories(trial.trial_type);
+            } catch (error) {
+                errors.push(`${label}: unknown trial type "${trial.trial_type}"`);
+                return;
+            }
+
+            const expectedSlots = Object.keys(slotCategories);
+            const slots = trial.images.map(entry => entry.slot);
+            if (slots.length !== expectedSlots.length || expectedSlots.some(slot => !slots.includes(slot))) {
+                errors.push(`${label}: ${trial.trial_type} trials need images for ${expectedSlots.join(', ')} (got ${slots.join(', ') || 'none'})`);
+            }
+
+            if (this.imageManager.isAttentionCheckTrialType(trial.trial_type) &&
+                !this.imageManager.positionNames.includes(trial.target_position)) {
+                errors.push(`${label}: attention-check target has unknown position "${trial.target_position || ''}"`);
+            }
+
+            const listImages = trial.stimulus_list ? this.imageManager.stimulusLists[trial.stimulus_list] : null;
+            if (trial.stimulus_list && !listImages) {
+                errors.push(`${label}: unknown stimulus list "${trial.stimulus_list}"`);
+            }
+
+            const positions = new Set();
+            trial.images.forEach(entry => {
+                if (!this.imageManager.positionNames.includes(entry.position)) {
+                    errors.push(`${label}: ${entry.slot} has unknown position "${entry.position}"`);
+                } else if (positions.has(entry.position)) {
+                    errors.push(`${label}: more than one image at ${entry.position}`);
+                }
+                positions.add(entry.position);
+
+                const category = slotCategories[entry.slot];
+                if (category && !this.imageManager.isImageInCategory(entry.image, category)) {
+                    errors.push(`${label}: ${entry.image || '(empty)'} is not a ${category} image in ${this.imageManager.stimulusFile}`);
+                }
+                if (listImages && !listImages.has(entry.image)) {
+                    errors.push(`${label}: ${entry.image || '(empty)'} is not in stimulus list ${trial.stimulus_list}`);
+                }
+
+                if (seenImages.has(entry.image)) {
+                    errors.push(`${label}: ${entry.image} is already shown in trial ${seenImages.get(entry.image)}`);
+                } else {
+                    seenImages.set(entry.image, index + 1);
+                }
+            });
+        });
+
+        return errors;
+    }
+
+    /**
+     * Number of images each category must supply for a round's trial pattern
+     */
+    countCategoryNeeds(pattern) {
+        const needs = {};
+        pattern.forEach(trialType => {
+            this.imageManager.getTrialSlots(trialType).forEach(({ category }) => {
+                needs[category] = (needs[category] || 0) + 1;
+            });
+        });
+        return needs;
+    }
+
+    getSlotCategories(trialType) {
+        const slotCategories = {};
+        this.imageManager.getTrialSlots(trialType).forEach(({ slot, category }) => {
+            slotCategories[slot] = category;
+        });
+        return slotCategories;
+    }
+
+    createTrialEntry(trialIdx, roundNumber, roundTrialIdx, trialType, imageData) {
+        return {
+            trial_idx: trialIdx,
+            round_number: roundNumber,
+            round_trial_idx: roundTrialIdx,
+            trial_type: trialType,
+            position_assignment: imageData.positionAssignment || 'random',
+            position_plan_block: imageData.positionPlanBlock || '',
+            position_plan_row: imageData.positionPlanRow || '',
+            stimulus_list: imageData.stimulusList || '',
+            target_position: imageData.targetPosition || '',
+            images: Object.keys(imageData.positions).map(slot => ({
+                slot: slot,
+                image: imageData[slot],
+                position: imageData.positions[slot]
+            }))
+        };
+    }
+
+    createSchedule(source, totalRounds, trials) {
+        const participantData = this.dataManager.participantData;
+        return {
+            format: SCHEDULE_FORMAT,
+            format_version: SCHEDULE_FORMAT_VERSION,
+            source: source,
+            created_at: new Date().toISOString(),
+            participant_id: participantData.participant_id,
+            session: participantData.session,
+            random_seed: participantData.random_seed,
+            config_name: participantData.config_name,
+            config_version: participantData.config_version,
+            total_rounds: totalRounds,
+            list_order: this.getListOrder(trials, totalRounds),
+            trials: trials
+        };
+    }
+
+    /**
+     * Stimulus list of each round, joined with ';' ('' when the rounds share one pool)
+     */
+    getListOrder(trials, totalRounds) {
+        const lists = [];
+        for (let roundNumber = 1; roundNumber <= totalRounds; roundNumber++) {
+            const trial = trials.find(entry => entry.round_number === roundNumber);
+            lists.push(trial ? trial.stimulus_list : '');
+        }
+        return lists.some(list => list) ? lists.join(';') : '';
+    }
+
+    getSchedule() {
+        return this.schedule;
+    }
+
+    getRoundTrials(roundNumber) {
+        return this.schedule ? this.schedule.trials.filter(trial => trial.round_number === roundNumber) : [];
+    }
+
+    /**
+     * Convert a schedule entry to the imageData object used by ImageManager.displayImages
+     * and DataManager.recordTrialData
+     */
+    getImageData(trial) {
+        const imageData = {
+            positions: {},
+            subcategories: {},
+            metadata: {},
+            novelty: {},
+            positionAssignment: trial.position_assignment,
+            positionPlanBlock: trial.position_plan_block,
+            positionPlanRow: trial.position_plan_row,
+            stimulusList: trial.stimulus_list || '',
+            targetPosition: trial.target_position || ''
+        };
+        trial.images.forEach(entry => {
+            imageData[entry.slot] = entry.image;
+            imageData.positions[entry.slot] = entry.position;
+            imageData.subcategories[entry.slot] = this.imageManager.getSubcategories(entry.image);
+            imageData.metadata[entry.slot] = this.imageManager.getImageMetadata(entry.image);
+            imageData.novelty[entry.slot] = this.imageManager.getImageNovelty(entry.image);
+        });
+        return imageData;
+    }
+
+    getFileStem() {
+        const participantData = this.dataManager.participantData;
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+        return `trial_schedule_ppt${participantData.participant_id}_s${participantData.session}_${timestamp}`;
+    }
+
+    exportScheduleJSON() {
+        if (!this.schedule) {
+            console.warn('No trial schedule to export');
+            return;
+        }
+
+        const filename = `${this.getFileStem()}.json`;
+        const blob = new Blob([JSON.stringify(this.schedule, null, 2)], { type: 'application/json' });
+        this.dataManager.downloadBlob(blob, filename);
+        console.log(`Trial schedule exported: ${filename}`);
+    }
+
+    exportScheduleCSV() {
+        if (!this.schedule) {
+            console.warn('No trial schedule to export');
+            return;
+        }
+
+        const columns = [...SCHEDULE_CSV_COLUMNS, 'stimulus_list', 'random_seed'];
+        const csvRows = [];
+        this.schedule.trials.forEach(trial => {
+            const entries = trial.target_position
+                ? [{ slot: ATTENTION_TARGET_SLOT, image: '', position: trial.target_position }]
+                : trial.images;
+            entries.forEach(entry => {
+                const row = { ...trial, ...entry, random_seed: this.schedule.random_seed };
+                csvRows.push(columns.map(column => this.formatCSVValue(row[column])).join(','));
+            });
+        });
+
+        const csvContent = [columns.join(','), ...csvRows].join('\n');
+        const filename = `${this.getFileStem()}.csv`;
+        this.dataManager.downloadCSV(csvContent, filename);
+        console.log(`Trial schedule exported: ${filename}`);
+    }
+
+    formatCSVValue(value) {
+        if (value === undefined || value === null) {
+            return '';
+        }
+        const text = String(value);
+        if (/[",\n]/.test(text)) {
+            return `"${text.replace(/"/g, '""')}"`;
+        }
+        return text;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = ScheduleManager;
+} else if (typeof window !== 'undefined') {
+    window.ScheduleManager = ScheduleManager;
+}
@@ -0,0 +1,109 @@
+/**
+ * SeededRandom - Seedable pseudo-random number generator shared by all modules
+ *
+ * Every shuffle and random draw in the experiment goes through one instance of this
+ * class so that a session's trial order, image pools and position assignments can be
+ * regenerated offline from the recorded seed (given the same config and stimulus files).
+ *
+ * Uses the mulberry32 generator; string seeds are hashed to 32 bits with FNV-1a.
+ */
+
+class SeededRandom {
+    constructor(seed = null) {
+        this.seed = null;
+        this.state = 0;
+
+        // Unseeded instances still work, they just aren't reproducible
+        this.setSeed(seed === null ? Math.floor(Math.random() * 0xFFFFFFFF) : seed);
+    }
+
+    /**
+     * Reset the generator. Accepts a 32-bit integer (or numeric string) or any other
+     * string, which is hashed to a 32-bit integer.
+     */
+    setSeed(seed) {
+        this.seed = SeededRandom.normalizeSeed(seed);
+        this.state = this.seed;
+        console.log(`SeededRandom seeded with ${this.seed}`);
+        return this.seed;
+    }
+
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * Current generator position, so a resumed session continues the same sequence
+     */
+    getState() {
+        return { seed: this.seed, state: this.state };
+    }
+
+    setState({ seed, state }) {
+        this.seed = seed;
+        this.state = state >>> 0;
+    }
+
+    /**
+     * Convert a number or string into an unsigned 32-bit seed
+     */
+    static normalizeSeed(seed) {
+        if (typeof seed === 'number' && Number.isFinite(seed)) {
+            return Math.floor(Math.abs(seed)) >>> 0;
+        }
+
+        const text = String(seed).trim();
+        if (/^\d+$/.test(text) && Number(text) <= 0xFFFFFFFF) {
+            return Number(text) >>> 0;
+        }
+        return SeededRandom.hashString(text);
+    }
+
+    /**
+     * FNV-1a 32-bit hash of a string
+     */
+    static hashString(text) {
+        let hash = 0x811C9DC5;
+        for (let i = 0; i < text.length; i++) {
+            hash ^= text.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+        return hash >>> 0;
+    }
+
+    /**
+     * Next float in [0, 1) - drop-in replacement for Math.random()
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Integer in [0, maxExclusive)
+     */
+    nextInt(maxExclusive) {
+        return Math.floor(this.next() * maxExclusive);
+    }
+
+    /**
+     * Fisher-Yates shuffle in place
+     */
+    shuffle(array) {
+        for (let i = array.length - 1; i > 0; i--) {
+            const j = this.nextInt(i + 1);
+            [array[i], array[j]] = [array[j], array[i]];
+        }
+        return array;
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SeededRandom;
+} else if (typeof window !== 'undefined') {
+    window.SeededRandom = SeededRandom;
+}
@@ -0,0 +1,167 @@
+/**
+ * SessionRegistry - Tracks which images a participant saw in earlier sessions
+ *
+ * Longitudinal designs run several sessions per participant (e.g. 001 and 002
+ * weeks apart). The registry keeps, per participant ID, the images shown in each
+ * session in localStorage on the testing machine. Sessions run on another machine
+ * can be added from their exported trial CSV (trial_data_ppt{ID}_s{session}_...csv)
+ * or schedule CSV. ImageManager.applyPriorImagePolicy() then excludes or
+ * deliberately re-presents the prior images.
+ *
+ * Registry entry (localStorage key free-viewing-sessions:{participant ID}):
+ *   { participant_id, sessions: { "<session>": { started, config_name, images: [...] } } }
+ */
+
+const SESSION_REGISTRY_KEY_PREFIX = 'free-viewing-sessions:';
+
+class SessionRegistry {
+    constructor(storage = null) {
+        this.storage = storage || (typeof localStorage !== 'undefined' ? localStorage : null);
+        this.priorImages = new Map();   // image path → labels of the prior sessions it was shown in
+    }
+
+    getStorageKey(participantId) {
+        return `${SESSION_REGISTRY_KEY_PREFIX}${participantId}`;
+    }
+
+    /**
+     * Read a participant's registry entry (an empty entry if there is none)
+     */
+    loadEntry(participantId) {
+        const emptyEntry = { participant_id: participantId, sessions: {} };
+        if (!this.storage) {
+            return emptyEntry;
+        }
+        try {
+            const stored = this.storage.getItem(this.getStorageKey(participantId));
+            return stored ? JSON.parse(stored) : emptyEntry;
+        } catch (error) {
+            console.warn(`Could not read the session registry for ${participantId}:`, error);
+            return emptyEntry;
+        }
+    }
+
+    saveEntry(entry) {
+        if (!this.storage) {
+            return false;
+        }
+        try {
+            this.storage.setItem(this.getStorageKey(entry.participant_id), JSON.stringify(entry));
+            return true;
+        } catch (error) {
+            console.warn(`Could not write the session registry for ${entry.participant_id}:`, error);
+            return false;
+        }
+    }
+
+    /**
+     * Forget the prior images collected for the previous participant
+     */
+    reset() {
+        this.priorImages = new Map();
+    }
+
+    addPriorImage(image, sessionLabel) {
+        if (!this.priorImages.has(image)) {
+            this.priorImages.set(image, new Set());
+        }
+        this.priorImages.get(image).add(sessionLabel);
+    }
+
+    /**
+     * Add the images of every registered session except the current one.
+     * Returns the labels of the sessions found.
+     */
+    loadFromRegistry(participantId, currentSession) {
+        const entry = this.loadEntry(participantId);
+        const sessions = Object.keys(entry.sessions).filter(session => session !== currentSession);
+
+        sessions.forEach(session => {
+            entry.sessions[session].images.forEach(image => this.addPriorImage(image, session));
+        });
+
+        console.log(`Session registry: ${participantId} has ${sessions.length} prior session(s)${sessions.length ? ` (${sessions.join(', ')})` : ''}`);
+        return sessions;
+    }
+
+    /**
+     * Add the images of a prior session's trial CSV (img_* columns and numbered image
+     * columns such as filler_1...filler_4) or schedule CSV (image column). rows are
+     * parsed CSV rows with the header first. The session
+     * label is taken from the file name (..._s002_...) when it has one.
+     * Returns the number of images added.
+     */
+    addPriorTrialCSV(rows, fileName) {
+        if (rows.length < 2) {
+            throw new Error(`${fileName} has no data rows`);
+        }
+
+        const header = rows[0].map(column => column.trim());
+        const imageColumns = header
+            .map((column, index) => ({ column, index }))
+            .filter(({ column }) => column.startsWith('img_') || /^[a-z]+_\d+$/i.test(column) || column === 'image');
+        if (imageColumns.length === 0) {
+            throw new Error(`${fileName} has no img_, filler_N or image columns - expected a trial data or trial schedule CSV`);
+        }
+
+        const sessionMatch = fileName.match(/_s([^_]+)_/);
+        const sessionLabel = sessionMatch ? sessionMatch[1] : fileName;
+
+        const images = new Set();
+        rows.slice(1).forEach(values => {
+            imageColumns.forEach(({ index }) => {
+                const image = (values[index] || '').trim();
+                if (image) {
+                    images.add(image);
+                }
+            });
+        });
+        images.forEach(image => this.addPriorImage(image, sessionLabel));
+
+        console.log(`Prior session ${sessionLabel}: ${images.size} images from ${fileName}`);
+        return images.size;
+    }
+
+    getPriorImages() {
+        return this.priorImages;
+    }
+
+    /**
+     * Labels of every prior session that contributed images
+     */
+    getPriorSessions() {
+        const sessions = new Set();
+        this.priorImages.forEach(labels => labels.forEach(label => sessions.add(label)));
+        return [...sessions].sort();
+    }
+
+    /**
+     * Add images shown in the current session to the participant's registry entry
+     * (called after every trial so interrupted sessions are registered too)
+     */
+    recordShownImages(participantId, session, images, configName = '') {
+        const entry = this.loadEntry(participantId);
+        if (!entry.sessions[session]) {
+            entry.sessions[session] = {
+                started: new Date().toISOString(),
+                config_name: configName,
+                images: []
+            };
+        }
+
+        const sessionImages = entry.sessions[session].images;
+        images.forEach(image => {
+            if (!sessionImages.includes(image)) {
+                sessionImages.push(image);
+            }
+        });
+        return this.saveEntry(entry);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SessionRegistry;
+} else if (typeof window !== 'undefined') {
+    window.SessionRegistry = SessionRegistry;
+}
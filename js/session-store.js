@@ -0,0 +1,160 @@
+/**
+ * SessionStore - Crash-safe copy of the running session in IndexedDB
+ *
+ * Trial and mouse data otherwise live only in DataManager's memory, so a refresh or
+ * browser crash loses the session. The controller saves the session (participant
+ * information, schedule, PRNG state) when Round 1 starts and every completed trial
+ * (its trial record, mouse rows and ratings) as it finishes. On the next page load an
+ * unfinished session can be resumed at the next scheduled trial.
+ *
+ * Object stores (database free-viewing-task):
+ *   sessions: { key: "<participant ID>_s<session>", status, updated_at, completed_trials,
+ *               total_trials, participant_data, schedule, schedule_file, prior_images,
+ *               random_state, elapsed_ms }
+ *   trials:   { session_key, trial_idx, trial_record, mouse_rows, rating_rows }
+ *
+ * status is 'in_progress' until the session ends ('complete'), is ended with Escape
+ * ('exited') or is discarded on the resume screen ('abandoned').
+ */
+
+const SESSION_STORE_DB_NAME = 'free-viewing-task';
+const SESSION_STORE_DB_VERSION = 1;
+
+class SessionStore {
+    constructor(indexedDBFactory = null) {
+        this.indexedDB = indexedDBFactory || (typeof indexedDB !== 'undefined' ? indexedDB : null);
+        this.db = null;
+    }
+
+    getSessionKey(participantId, session) {
+        return `${participantId}_s${session}`;
+    }
+
+    /**
+     * Open (and on first use create) the database. Resolves to null when IndexedDB
+     * is unavailable, so callers carry on without persistence.
+     */
+    async open() {
+        if (this.db || !this.indexedDB) {
+            return this.db;
+        }
+
+        try {
+            this.db = await new Promise((resolve, reject) => {
+                const request = this.indexedDB.open(SESSION_STORE_DB_NAME, SESSION_STORE_DB_VERSION);
+                request.onupgradeneeded = () => {
+                    const db = request.result;
+                    if (!db.objectStoreNames.contains('sessions')) {
+                        db.createObjectStore('sessions', { keyPath: 'key' });
+                    }
+                    if (!db.objectStoreNames.contains('trials')) {
+                        const trials = db.createObjectStore('trials', { keyPath: ['session_key', 'trial_idx'] });
+                        trials.createIndex('session_key', 'session_key');
+                    }
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        } catch (error) {
+            console.warn('IndexedDB unavailable - session progress will not be saved:', error);
+            this.db = null;
+        }
+        return this.db;
+    }
+
+    /**
+     * Run one operation in a transaction and resolve with its result once the
+     * transaction has committed
+     */
+    async run(storeNames, mode, operation) {
+        const db = await this.open();
+        if (!db) {
+            return null;
+        }
+
+        return new Promise((resolve, reject) => {
+            const transaction = db.transaction(storeNames, mode);
+            const request = operation(transaction);
+            transaction.oncomplete = () => resolve(request ? request.result : null);
+            transaction.onerror = () => reject(transaction.error);
+            transaction.onabort = () => reject(transaction.error);
+        });
+    }
+
+    /**
+     * Save the session record of a session that is starting, dropping trials left
+     * over from an earlier attempt with the same participant ID and session
+     */
+    async startSession(record) {
+        await this.run(['sessions', 'trials'], 'readwrite', (transaction) => {
+            const trials = transaction.objectStore('trials');
+            const range = IDBKeyRange.bound([record.key], [record.key, []]);
+            trials.delete(range);
+            return transaction.objectStore('sessions').put(record);
+        });
+        console.log(`Session store: started ${record.key}`);
+    }
+
+    /**
+     * Save one completed trial together with the updated session record
+     */
+    async saveTrial(record, trialIdx, trialRecord, mouseRows, ratingRows = []) {
+        await this.run(['sessions', 'trials'], 'readwrite', (transaction) => {
+            transaction.objectStore('trials').put({
+                session_key: record.key,
+                trial_idx: trialIdx,
+                trial_record: trialRecord,
+                mouse_rows: mouseRows,
+                rating_rows: ratingRows
+            });
+            return transaction.objectStore('sessions').put(record);
+        });
+    }
+
+    async saveSession(record) {
+        await this.run(['sessions'], 'readwrite', transaction => transaction.objectStore('sessions').put(record));
+    }
+
+    async setStatus(key, status) {
+        const record = await this.getSession(key);
+        if (!record) {
+            return;
+        }
+        record.status = status;
+        record.updated_at = new Date().toISOString();
+        await this.saveSession(record);
+        console.log(`Session store: ${key} marked ${status}`);
+    }
+
+    async getSession(key) {
+        return this.run(['sessions'], 'readonly', transaction => transaction.objectStore('sessions').get(key));
+    }
+
+    /**
+     * The most recently saved session that is still in progress and has trials left,
+     * or null
+     */
+    async findUnfinishedSession() {
+        const sessions = await this.run(['sessions'], 'readonly', transaction => transaction.objectStore('sessions').getAll());
+        const unfinished = (sessions || [])
+            .filter(record => record.status === 'in_progress' && record.completed_trials < record.total_trials)
+            .sort((a, b) => b.updated_at.localeCompare(a.updated_at));
+        return unfinished[0] || null;
+    }
+
+    /**
+     * Saved trials of a session in trial order
+     */
+    async loadTrials(key) {
+        const trials = await this.run(['trials'], 'readonly', transaction =>
+            transaction.objectStore('trials').index('session_key').getAll(key));
+        return (trials || []).sort((a, b) => a.trial_idx - b.trial_idx);
+    }
+}
+
+// Export for use in other modules
+if (typeof module !== 'undefined' && module.exports) {
+    module.exports = SessionStore;
+} else if (typeof window !== 'undefined') {
+    window.SessionStore = SessionStore;
+}